@@ -4,12 +4,19 @@ echo "Building app.."
 
 BASE_JS_FILES="\
 js/jquery-3.4.1.min.js \
-js/ApiConnector.js"
+js/Settings.js \
+js/ApiConnector.js \
+js/PreviousProfessorsViews.js \
+js/CalendarExporter.js \
+js/AcademicHistoryExporter.js \
+js/DataCollector.js \
+js/FreeTextScheduleParser.js \
+js/PlanEquivalences.js \
+js/PlanTrackingViews.js"
 
 JS_FILES="\
 js/siga/Errors.js \
 js/siga/Utils.js \
-js/siga/DataCollector.js \
 js/siga/PagesDataParser.js \
 js/siga/pages/HorariosPage.js \
 js/siga/pages/ActasDeFinalesPage.js \
@@ -25,12 +32,15 @@ cat $BASE_JS_FILES $JS_FILES > js/siga-helper.min.js
 
 JS_FILES="\
 js/pdf.min.js \
+js/guarani/Errors.js \
 js/guarani/Utils.js \
-js/guarani/DataCollector.js \
 js/guarani/PagesDataParser.js \
+js/guarani/pages/HistoriaAcademicaPage.js \
+js/guarani/pages/InscripcionCursadasPage.js \
 js/guarani/custompages/ProfessorsSearchCustomPage.js \
 js/guarani/custompages/CoursesSearchCustomPage.js \
 js/guarani/custompages/PlanTrackingCustomPage.js \
+js/guarani/custompages/ClassSchedulesCustomPage.js \
 js/guarani/custompages/CustomPages.js \
 js/guarani/main.js"
 cat $BASE_JS_FILES $JS_FILES > js/guarani-helper.min.js
@@ -0,0 +1,41 @@
+let AcademicHistoryExporter = function (utils) {
+
+	const COLUMNS = ["date", "type", "courseCode", "courseName", "grade", "weightedGrade", "result"];
+
+	let formatDate = function (date) {
+		return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0") + "-" + String(date.getDate()).padStart(2, "0");
+	};
+
+	let escapeCsvValue = function (value) {
+		if (value === null) return "";
+		value = value.toString();
+		return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+	};
+
+	/**
+	 * Downloads the student's academic history, so that they can do their own analysis or keep a backup.
+	 * @param coursesHistory as returned by the site's PagesDataParser#parseAcademicHistory.
+	 * @param format either "csv" or "json".
+	 */
+	let downloadAcademicHistory = function (coursesHistory, format) {
+		let rows = coursesHistory.map(course => {
+			let row = {};
+			COLUMNS.forEach(column => row[column] = course[column] === undefined ? null : course[column]);
+			row.date = course.date ? formatDate(course.date) : null;
+			return row;
+		});
+
+		if (format === "json") {
+			utils.downloadFile("historia-academica.json", "application/json;charset=utf-8", JSON.stringify(rows, null, 2));
+		} else {
+			let lines = [COLUMNS.join(",")].concat(rows.map(row => COLUMNS.map(column => escapeCsvValue(row[column])).join(",")));
+			// The BOM is needed so that excel recognizes the encoding.
+			utils.downloadFile("historia-academica.csv", "text/csv;charset=utf-8", "\uFEFF" + lines.join("\r\n"));
+		}
+	};
+
+	// Public
+	return {
+		downloadAcademicHistory: downloadAcademicHistory,
+	};
+};
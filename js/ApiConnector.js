@@ -1,7 +1,6 @@
-let ApiConnector = function (site) {
+let ApiConnector = function (site, settings) {
 
 	const CLIENT = `CHROME@${chrome.runtime.getManifest().version}@${site}`;
-	const BASE_API_URL = "https://www.pablomatiasgomez.com.ar/sigahelper/v2";
 
 	const DAYS_MAPPING = {
 		"Lu": "MONDAY",
@@ -17,8 +16,29 @@ let ApiConnector = function (site) {
 		"n": "NIGHT",
 	};
 
+	// The kind of data sent by each POST, that the user has to allow in the options page. See Settings.
+	// The previous professors request is not included as it only sends the classes that are offered, to get the professors.
+	const DATA_KIND_BY_POST_TYPE = {
+		logMessage: Settings.DATA_KINDS.ERROR_LOGS,
+		logUserStat: Settings.DATA_KINDS.USER_STATS,
+		postClassSchedules: Settings.DATA_KINDS.CLASS_SCHEDULES,
+		postProfessorSurveys: Settings.DATA_KINDS.PROFESSOR_SURVEYS,
+		postHashedStudentIdMigrations: Settings.DATA_KINDS.USER_STATS,
+	};
+
+	const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+	// How long a cached response is considered up to date, for each endpoint.
+	// After that, the cached response is still returned, marked as stale, while it is refreshed in background.
+	const CACHE_TTLS = {
+		PROFESSORS: ONE_DAY_MS,
+		AGGREGATED_PROFESSOR_SURVEYS: ONE_DAY_MS,
+		COURSES: 7 * ONE_DAY_MS,
+		PLAN_COURSES: 30 * ONE_DAY_MS, // Plans change maybe once a year..
+		PLAN_EQUIVALENCES: 30 * ONE_DAY_MS,
+		CLASS_SCHEDULES: ONE_DAY_MS,
+	};
 	let logMessage = function (method, isError, message) {
-		return postData(BASE_API_URL + "/log", {
+		return postData("logMessage", {
 			method: method,
 			error: isError,
 			message: message
@@ -26,7 +46,7 @@ let ApiConnector = function (site) {
 	};
 
 	let logUserStat = function (hashedStudentId, pesoAcademico, passingGradesAverage, allGradesAverage, passingGradesCount, failingGradesCount) {
-		return postData(BASE_API_URL + "/user-stats", {
+		return postData("logUserStat", {
 			hashedStudentId: hashedStudentId,
 			pesoAcademico: pesoAcademico,
 			passingGradesAverage: passingGradesAverage,
@@ -37,7 +57,7 @@ let ApiConnector = function (site) {
 	};
 
 	let postClassSchedules = function (classSchedules) {
-		return postData(BASE_API_URL + "/class-schedules", classSchedules.map(classSchedule => {
+		return postData("postClassSchedules", classSchedules.map(classSchedule => {
 			return {
 				year: classSchedule.year,
 				quarter: classSchedule.quarter,
@@ -51,7 +71,15 @@ let ApiConnector = function (site) {
 	};
 
 	let postProfessorSurveys = function (surveys) {
-		return postData(BASE_API_URL + "/professor-surveys", surveys);
+		return postData("postProfessorSurveys", surveys);
+	};
+
+	/**
+	 * @param migrations array of {previousHashedStudentId, hashedStudentId}, so that the data sent with the previous hash
+	 * of a student is linked to the new one.
+	 */
+	let postHashedStudentIdMigrations = function (migrations) {
+		return postData("postHashedStudentIdMigrations", migrations);
 	};
 
 	let mapScheduleToApi = function (schedule) {
@@ -63,15 +91,19 @@ let ApiConnector = function (site) {
 		};
 	};
 
-	let postData = function (url, data) {
-		return makeRequest({
-			url: url,
-			method: 'POST',
-			headers: {
-				"X-Client": CLIENT,
-				"Content-type": "application/json; charset=utf-8"
-			},
-			body: JSON.stringify(data)
+	/**
+	 * Data is only sent if the user allowed it, otherwise it is silently discarded.
+	 */
+	let postData = function (type, data) {
+		let dataKind = DATA_KIND_BY_POST_TYPE[type];
+		return Promise.resolve().then(() => {
+			return dataKind ? settings.isSendingEnabled(dataKind) : true;
+		}).then(enabled => {
+			if (!enabled) return;
+			return makeRequest({
+				type: type,
+				body: data
+			});
 		});
 	};
 
@@ -80,17 +112,17 @@ let ApiConnector = function (site) {
 
 	let getPreviousProfessors = function (previousProfessorsRequest) {
 		Object.values(previousProfessorsRequest.futureClassSchedules).forEach(branchWithSchedule => {
-			return branchWithSchedule.schedules = branchWithSchedule.schedules.map(mapScheduleToApi);
+			return branchWithSchedule.schedules = branchWithSchedule.schedules ? branchWithSchedule.schedules.map(mapScheduleToApi) : null;
 		});
-		return postData(BASE_API_URL + "/previous-professors", previousProfessorsRequest);
+		return postData("getPreviousProfessors", previousProfessorsRequest);
 	};
 
 	let searchProfessors = function (query) {
-		return getData(BASE_API_URL + "/professors?q=" + encodeURIComponent(query));
+		return getCachedData({type: "searchProfessors", query: query}, CACHE_TTLS.PROFESSORS);
 	};
 
 	let getProfessorSurveysAggregate = function (professorName) {
-		return getData(BASE_API_URL + "/aggregated-professor-surveys?professorName=" + encodeURIComponent(professorName));
+		return getCachedData({type: "getProfessorSurveysAggregate", professorName: professorName}, CACHE_TTLS.AGGREGATED_PROFESSOR_SURVEYS);
 	};
 
 	let getClassesForProfessor = function (professorName, offset, limit) {
@@ -98,11 +130,20 @@ let ApiConnector = function (site) {
 	};
 
 	let searchCourses = function (query) {
-		return getData(BASE_API_URL + "/courses?q=" + encodeURIComponent(query));
+		return getCachedData({type: "searchCourses", query: query}, CACHE_TTLS.COURSES);
 	};
 
 	let getPlanCourses = function (planCode) {
-		return getData(BASE_API_URL + "/courses?planCode=" + encodeURIComponent(planCode));
+		return getCachedData({type: "getPlanCourses", planCode: planCode}, CACHE_TTLS.PLAN_COURSES);
+	};
+
+	/**
+	 * @return the equivalences into the given plan from the courses of other plans, as
+	 * [{fromPlanCode, fromCourseCodes, planCode, courseCode, kind}], kind being either TOTAL or PARTIAL.
+	 * Only the local server (server/server.js) has this endpoint so far, see PlanEquivalences for what is done without it.
+	 */
+	let getPlanEquivalences = function (planCode) {
+		return getCachedData({type: "getPlanEquivalences", planCode: planCode}, CACHE_TTLS.PLAN_EQUIVALENCES);
 	};
 
 	let getClassesForCourse = function (courseCode, offset, limit) {
@@ -110,13 +151,14 @@ let ApiConnector = function (site) {
 	};
 
 	let getClassesSchedules = function (courseCode, professorName, offset, limit) {
-		let params = {
+		let message = {
+			type: "getClassesSchedules",
 			offset: offset,
 			limit: limit
 		};
-		if (courseCode) params.courseCode = courseCode;
-		if (professorName) params.professorName = professorName;
-		return getData(BASE_API_URL + "/class-schedules?" + buildQueryParams(params)).then(classSchedules => {
+		if (courseCode) message.courseCode = courseCode;
+		if (professorName) message.professorName = professorName;
+		return getCachedData(message, CACHE_TTLS.CLASS_SCHEDULES).then(classSchedules => {
 			classSchedules.filter(classSchedule => classSchedule.schedules).forEach(classSchedule => {
 				classSchedule.schedules = classSchedule.schedules.map(mapScheduleFromApi);
 			});
@@ -124,16 +166,67 @@ let ApiConnector = function (site) {
 		});
 	};
 
-	let getData = function (url) {
-		return makeRequest({
-			url: url,
-			method: 'GET',
-			headers: {
-				"X-Client": CLIENT
-			}
+	let getData = function (message) {
+		return makeRequest(message);
+	};
+
+	// ---- Cache
+
+	// Responses that were returned from the cache after their ttl, mapped to the time in which they were cached.
+	let staleResponses = new WeakMap();
+
+	/**
+	 * Returns the cached response for the given message if it is up to date, or otherwise requests it and caches the result.
+	 * If there is a cached response that is not up to date, it is returned anyway and refreshed in background,
+	 * so that pages still work when the backend is slow or down. See {@link getStaleResponseTime}.
+	 * @param message the message to send to the background, which is also used as the cache key. See background.js.
+	 * @param ttl how long, in ms, a cached response is considered up to date.
+	 */
+	let getCachedData = function (message, ttl) {
+		let cacheKey = ApiConnector.CACHE_KEY_PREFIX + JSON.stringify(message);
+		return getFromCache(cacheKey).then(cached => {
+			let age = cached ? Date.now() - cached.cachedAt : Infinity;
+			if (age <= ttl) return cached.data;
+
+			let request = getData(message).then(data => {
+				saveInCache(cacheKey, data);
+				return data;
+			});
+			if (age > ApiConnector.CACHE_MAX_AGE_MS) return request;
+
+			request.catch(e => console.warn("Couldn't refresh stale cached response for " + cacheKey, e));
+			staleResponses.set(cached.data, new Date(cached.cachedAt));
+			return cached.data;
+		});
+	};
+
+	let getFromCache = function (cacheKey) {
+		return new Promise(resolve => {
+			chrome.storage.local.get(cacheKey, items => resolve(chrome.runtime.lastError ? null : items[cacheKey]));
+		});
+	};
+
+	let saveInCache = function (cacheKey, data) {
+		chrome.storage.local.set({[cacheKey]: {cachedAt: Date.now(), data: data}}, () => {
+			if (chrome.runtime.lastError) console.warn("Couldn't save cached response", chrome.runtime.lastError);
 		});
 	};
 
+	/**
+	 * @param response a response returned by any of the GET methods.
+	 * @return {Date|null} the time in which the response was cached, if it was returned from the cache after its ttl, or null if it is up to date.
+	 */
+	let getStaleResponseTime = function (response) {
+		return (response && typeof response === "object" && staleResponses.get(response)) || null;
+	};
+
+	/**
+	 * @return {Promise<{apiBaseUrl, isDefault, healthy, status}>} the api that is being used, which can be configured in the options page, and whether it is up.
+	 */
+	let checkApiHealth = function () {
+		return makeRequest({type: "checkApiHealth"});
+	};
+
 	let mapScheduleFromApi = function (schedule) {
 		return {
 			day: Object.entries(DAYS_MAPPING).filter(entry => entry[1] === schedule.day)[0][0],
@@ -145,21 +238,27 @@ let ApiConnector = function (site) {
 
 	// ---
 
-	let makeRequest = function (options) {
+	/**
+	 * Sends the message to the background, that makes the request to the api.
+	 * Errors are rejected as {status, message}, status being 0 if the api couldn't be reached.
+	 */
+	let makeRequest = function (message) {
 		return new Promise((resolve, reject) => {
-			chrome.runtime.sendMessage(options, response => (response && response.error) ? reject(response.error) : resolve(response));
+			chrome.runtime.sendMessage(Object.assign({client: CLIENT}, message), response => {
+				if (chrome.runtime.lastError) {
+					reject({status: 0, message: chrome.runtime.lastError.message});
+				} else if (response && response.error) {
+					reject(response.error);
+				} else {
+					resolve(response);
+				}
+			});
 		}).catch(e => {
 			console.error("Error while making request", e);
 			throw e;
 		});
 	};
 
-	let buildQueryParams = function (params) {
-		return Object.entries(params)
-			.map(entry => `${encodeURIComponent(entry[0])}=${encodeURIComponent(entry[1])}`)
-			.join("&")
-	};
-
 
 	// Public
 	return {
@@ -168,6 +267,7 @@ let ApiConnector = function (site) {
 		logUserStat: logUserStat,
 		postClassSchedules: postClassSchedules,
 		postProfessorSurveys: postProfessorSurveys,
+		postHashedStudentIdMigrations: postHashedStudentIdMigrations,
 
 		// GETs:
 		getPreviousProfessors: getPreviousProfessors,
@@ -176,6 +276,15 @@ let ApiConnector = function (site) {
 		getClassesForProfessor: getClassesForProfessor,
 		searchCourses: searchCourses,
 		getPlanCourses: getPlanCourses,
+		getPlanEquivalences: getPlanEquivalences,
 		getClassesForCourse: getClassesForCourse,
+
+		getStaleResponseTime: getStaleResponseTime,
+		checkApiHealth: checkApiHealth,
 	};
 };
+
+// Also used by background.js, which removes the cached responses.
+ApiConnector.CACHE_KEY_PREFIX = "ApiConnector.cache.";
+// Cached responses older than this are not used anymore, even if the backend is down. They are removed by background.js.
+ApiConnector.CACHE_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
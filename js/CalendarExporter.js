@@ -0,0 +1,155 @@
+let CalendarExporter = function (utils) {
+
+	const TIMEZONE = "America/Argentina/Buenos_Aires";
+	// Argentina doesn't have daylight saving time, as defined in the VTIMEZONE.
+	const TIMEZONE_OFFSET_HOURS = -3;
+	// The exact dates change every year, so these are just an approximation of when classes start and finish: [month, day]
+	const QUARTER_DATES = {
+		"1C": {start: [3, 13], end: [7, 15]},
+		"2C": {start: [8, 14], end: [11, 30]},
+		"A": {start: [3, 13], end: [11, 30]},
+	};
+	const DAYS = {
+		Lu: {weekDay: 1, byDay: "MO"},
+		Ma: {weekDay: 2, byDay: "TU"},
+		Mi: {weekDay: 3, byDay: "WE"},
+		Ju: {weekDay: 4, byDay: "TH"},
+		Vi: {weekDay: 5, byDay: "FR"},
+		Sa: {weekDay: 6, byDay: "SA"},
+	};
+
+	let pad = number => number.toString().padStart(2, "0");
+
+	let formatDate = function (date) {
+		return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate());
+	};
+
+	let formatDateTime = function (date, time) {
+		let timeParts = time.split(":");
+		return formatDate(date) + "T" + pad(timeParts[0]) + pad(timeParts[1]) + "00";
+	};
+
+	let formatUtcDateTime = function (date) {
+		return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+	};
+
+	/**
+	 * The end of the given day in Argentina, in UTC, as the UNTIL of a recurrence has to be in UTC when its DTSTART has a TZID.
+	 */
+	let getEndOfDayUtc = function (date) {
+		return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 23 - TIMEZONE_OFFSET_HOURS, 59, 59));
+	};
+
+	let escapeText = function (text) {
+		return text.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+	};
+
+	// Lines longer than 75 octets (in UTF-8) have to be split, continuing in the next line with a leading space.
+	// Lines are split between characters, so that multi-byte ones (e.g. accents) are not broken.
+	let foldLine = function (line) {
+		const MAX_OCTETS = 75;
+		let getOctets = char => new TextEncoder().encode(char).length;
+		let lines = [];
+		let currentLine = "";
+		let currentOctets = 0;
+		for (let char of line) {
+			let octets = getOctets(char);
+			if (currentOctets + octets > MAX_OCTETS) {
+				lines.push(currentLine);
+				currentLine = " ";
+				currentOctets = 1;
+			}
+			currentLine += char;
+			currentOctets += octets;
+		}
+		lines.push(currentLine);
+		return lines.join("\r\n");
+	};
+
+	let getQuarterDates = function (classSchedule) {
+		let quarterDates = QUARTER_DATES[classSchedule.quarter];
+		return {
+			start: new Date(classSchedule.year, quarterDates.start[0] - 1, quarterDates.start[1]),
+			end: new Date(classSchedule.year, quarterDates.end[0] - 1, quarterDates.end[1]),
+		};
+	};
+
+	/**
+	 * Whether the class is still being taken, given that the quarter didn't finish yet.
+	 */
+	let isCurrentClass = function (classSchedule) {
+		if (!QUARTER_DATES[classSchedule.quarter]) return false;
+		return getQuarterDates(classSchedule).end >= new Date();
+	};
+
+	/**
+	 * Creates one weekly recurring event for each of the days of each class.
+	 */
+	let getEventsLines = function (classSchedule) {
+		let quarterDates = getQuarterDates(classSchedule);
+		return (classSchedule.schedules || []).flatMap(schedule => {
+			// The first occurrence is the first day of the quarter that matches the day of the week.
+			let firstDate = new Date(quarterDates.start);
+			firstDate.setDate(firstDate.getDate() + (DAYS[schedule.day].weekDay - firstDate.getDay() + 7) % 7);
+
+			let lines = [
+				"BEGIN:VEVENT",
+				`UID:${classSchedule.year}-${classSchedule.quarter}-${classSchedule.classCode}-${classSchedule.courseCode}-${schedule.day}@siga-helper`,
+				`DTSTAMP:${formatUtcDateTime(new Date())}`,
+				`DTSTART;TZID=${TIMEZONE}:${formatDateTime(firstDate, utils.HOURS[schedule.shift][schedule.firstHour].start)}`,
+				`DTEND;TZID=${TIMEZONE}:${formatDateTime(firstDate, utils.HOURS[schedule.shift][schedule.lastHour].end)}`,
+				`RRULE:FREQ=WEEKLY;BYDAY=${DAYS[schedule.day].byDay};UNTIL=${formatUtcDateTime(getEndOfDayUtc(quarterDates.end))}`,
+				`SUMMARY:${escapeText(classSchedule.courseName)}`,
+				`DESCRIPTION:${escapeText(`Curso ${classSchedule.classCode} [${classSchedule.courseCode}]`)}`,
+			];
+			if (classSchedule.branch) {
+				lines.push(`LOCATION:${escapeText(utils.BRANCHES[classSchedule.branch] || classSchedule.branch)}`);
+			}
+			lines.push("END:VEVENT");
+			return lines;
+		});
+	};
+
+	/**
+	 * Generates the iCalendar file contents with the classes that are still being taken.
+	 * @return {string|null} null if there aren't current classes to export.
+	 */
+	let getIcsFromClassSchedules = function (classSchedules) {
+		let currentClassSchedules = classSchedules.filter(isCurrentClass);
+		if (!currentClassSchedules.length) return null;
+
+		let lines = [
+			"BEGIN:VCALENDAR",
+			"VERSION:2.0",
+			"PRODID:-//Siga Helper//Horarios de cursada//ES",
+			"CALSCALE:GREGORIAN",
+			"BEGIN:VTIMEZONE",
+			`TZID:${TIMEZONE}`,
+			"BEGIN:STANDARD",
+			"DTSTART:19700101T000000",
+			"TZOFFSETFROM:-0300",
+			"TZOFFSETTO:-0300",
+			"TZNAME:-03",
+			"END:STANDARD",
+			"END:VTIMEZONE",
+			...currentClassSchedules.flatMap(getEventsLines),
+			"END:VCALENDAR",
+		];
+		return lines.map(foldLine).join("\r\n") + "\r\n";
+	};
+
+	let downloadIcs = function (classSchedules) {
+		let ics = getIcsFromClassSchedules(classSchedules);
+		if (!ics) {
+			alert("No se encontraron cursadas actuales para exportar.");
+			return;
+		}
+		utils.downloadFile("horarios.ics", "text/calendar;charset=utf-8", ics);
+	};
+
+	// Public
+	return {
+		getIcsFromClassSchedules: getIcsFromClassSchedules,
+		downloadIcs: downloadIcs,
+	};
+};
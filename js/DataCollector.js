@@ -0,0 +1,358 @@
+/**
+ * Shared by both sites, which only differ in the storage key, as each site keeps its own collected data.
+ */
+let DataCollector = function (pagesDataParser, apiConnector, settings, storageKey) {
+
+	const LOCAL_STORAGE_DATA_COLLECTOR_KEY = storageKey;
+	const COLLECT_SCHEDULES_KEY = "schedules";
+	const COLLECT_SURVEYS_KEY = "surveys";
+	const COLLECT_HASH_MIGRATION_KEY = "hashMigration";
+	const DATA_KIND_BY_COLLECT_KEY = {
+		[COLLECT_SCHEDULES_KEY]: Settings.DATA_KINDS.CLASS_SCHEDULES,
+		[COLLECT_SURVEYS_KEY]: Settings.DATA_KINDS.PROFESSOR_SURVEYS,
+		[COLLECT_HASH_MIGRATION_KEY]: Settings.DATA_KINDS.USER_STATS,
+	};
+	// Collected data is stored in this queue until the api confirms it was received, so that it is not lost if the request fails.
+	const LOCAL_STORAGE_QUEUE_KEY = LOCAL_STORAGE_DATA_COLLECTOR_KEY + ".Queue";
+	// Only one tab at a time sends the queued data, so that it is not sent twice.
+	const LOCAL_STORAGE_QUEUE_LOCK_KEY = LOCAL_STORAGE_DATA_COLLECTOR_KEY + ".QueueLock";
+
+	const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+	const QUEUE_LOCK_TIMEOUT_MS = 60 * 1000;
+	const QUEUE_RETRY_BASE_MS = 60 * 1000; // Retried after 2, 4, 8, ... minutes, up to one day.
+	const QUEUE_MAX_ATTEMPTS = 10;
+	// Not prefixed by site, as the same salt is used in both sites so that a student gets the same hash in them.
+	const STORAGE_STUDENT_ID_SALT_KEY = "DataCollector.StudentIdSalt";
+
+	let hashedStudentId;
+	/**
+	 * The student id is hashed with SHA-256 and a random salt that is generated once per user, to keep data anonymous.
+	 * Without the salt, the hash could be reversed by hashing every possible student id.
+	 * @return {Promise<string>} the hash as an hex string.
+	 */
+	let getHashedStudentId = function () {
+		if (hashedStudentId) {
+			return Promise.resolve(hashedStudentId);
+		}
+		return Promise.all([
+			pagesDataParser.getStudentId(),
+			getStudentIdSalt(),
+		]).then(results => {
+			let studentId = results[0];
+			let salt = results[1];
+			return sha256(`${salt}:${studentId}`).then(hash => {
+				migrateLegacyHashedStudentId(legacyHashCode(studentId), hash);
+				hashedStudentId = hash;
+				return hashedStudentId;
+			});
+		});
+	};
+
+	/**
+	 * The salt is stored in chrome.storage.sync, so that it is the same in all the user's devices.
+	 */
+	let getStudentIdSalt = function () {
+		return new Promise((resolve, reject) => {
+			chrome.storage.sync.get(STORAGE_STUDENT_ID_SALT_KEY, items => chrome.runtime.lastError ? reject(chrome.runtime.lastError.message) : resolve(items[STORAGE_STUDENT_ID_SALT_KEY]));
+		}).then(salt => {
+			if (salt) return salt;
+			salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+			return new Promise((resolve, reject) => {
+				chrome.storage.sync.set({[STORAGE_STUDENT_ID_SALT_KEY]: salt}, () => chrome.runtime.lastError ? reject(chrome.runtime.lastError.message) : resolve(salt));
+			});
+		});
+	};
+
+	let sha256 = function (str) {
+		if (crypto.subtle) {
+			return crypto.subtle.digest("SHA-256", new TextEncoder().encode(str)).then(buffer => toHex(new Uint8Array(buffer)));
+		}
+		// SubtleCrypto is only available in secure contexts (https), so otherwise the hash is calculated by the background page.
+		return new Promise((resolve, reject) => {
+			chrome.runtime.sendMessage({type: "sha256", value: str}, response => {
+				if (chrome.runtime.lastError || !response || response.error) {
+					reject(`Couldn't calculate sha256 in background: ${chrome.runtime.lastError ? chrome.runtime.lastError.message : JSON.stringify(response)}`);
+				} else {
+					resolve(response.hash);
+				}
+			});
+		});
+	};
+
+	let toHex = function (bytes) {
+		return Array.from(bytes).map(byte => byte.toString(16).padStart(2, "0")).join("");
+	};
+
+	/**
+	 * Student ids used to be hashed with {@link legacyHashCode}, so the data stored for the legacy hash is moved to the new one,
+	 * and the mapping between both is queued to be sent, so that the data previously sent for the student stays linked to them.
+	 * This is only done if there is data stored for the legacy hash, as for new users there is nothing to link, and sending
+	 * the mapping would make the new hash as easy to reverse as the legacy one.
+	 */
+	let migrateLegacyHashedStudentId = function (legacyHashedStudentId, hashedStudentId) {
+		let legacyKey = legacyHashedStudentId.toString(); // Keys of the stored object are strings, while queue items have the number.
+		let lastTimeCollectedByHashedStudentId = getLastTimeCollectedByHashedStudentId();
+		let queue = getQueue();
+		let legacyLastTimeCollected = lastTimeCollectedByHashedStudentId[legacyKey];
+		let legacyQueueItems = queue.filter(item => item.hashedStudentId.toString() === legacyKey);
+		if (!legacyLastTimeCollected && !legacyQueueItems.length) return;
+
+		lastTimeCollectedByHashedStudentId[hashedStudentId] = Object.assign({}, legacyLastTimeCollected, lastTimeCollectedByHashedStudentId[hashedStudentId]);
+		delete lastTimeCollectedByHashedStudentId[legacyKey];
+		localStorage.setItem(LOCAL_STORAGE_DATA_COLLECTOR_KEY, JSON.stringify(lastTimeCollectedByHashedStudentId));
+
+		legacyQueueItems.forEach(item => {
+			item.hashedStudentId = hashedStudentId;
+			if (item.collectKey === COLLECT_SURVEYS_KEY) item.data.forEach(survey => survey.surveyTaker = hashedStudentId);
+		});
+		saveQueue(queue);
+
+		addToQueue(hashedStudentId, COLLECT_HASH_MIGRATION_KEY, "postHashedStudentIdMigrations", [{
+			previousHashedStudentId: legacyHashedStudentId,
+			hashedStudentId: hashedStudentId,
+		}]);
+	};
+
+	/**
+	 * Sends the user stat with the hashed student it to keep data anonymous.
+	 */
+	let logUserStat = function (pesoAcademico, passingGradesAverage, allGradesAverage, passingGradesCount, failingGradesCount) {
+		return getHashedStudentId().then(hashedStudentId => {
+			return apiConnector.logUserStat(hashedStudentId, pesoAcademico, passingGradesAverage, allGradesAverage, passingGradesCount, failingGradesCount);
+		});
+	};
+
+	/**
+	 * Collects, every one day or more, background data such as:
+	 * - class schedules and professors
+	 * - taken surveys
+	 * The collected data is queued and then sent, and it is only considered collected once the api confirms it.
+	 * Data that is still pending in the queue, or that the user did not allow to send, is not collected.
+	 * @return {Promise<*>}
+	 */
+	let collectBackgroundDataIfNeeded = function () {
+		return Promise.all([
+			getHashedStudentId(),
+			settings.getSettings(),
+		]).then(results => {
+			let hashedStudentId = results[0];
+			let currentSettings = results[1];
+			let lastTimeCollected = getLastTimeCollectedForStudentId(hashedStudentId);
+
+			let collectMethods = [
+				{
+					key: COLLECT_SCHEDULES_KEY,
+					minTime: ONE_DAY_MS,
+					method: () => collectClassSchedulesWithProfessors(hashedStudentId),
+				},
+				{
+					key: COLLECT_SURVEYS_KEY,
+					minTime: ONE_DAY_MS,
+					method: () => collectTakenSurveys(hashedStudentId),
+				}
+			];
+
+			let promise = Promise.resolve();
+			collectMethods.filter(collectMethod => {
+				// Never collected or min time has passed.
+				return !lastTimeCollected[collectMethod.key] || Date.now() - lastTimeCollected[collectMethod.key] > collectMethod.minTime;
+			}).filter(collectMethod => {
+				return !isPendingInQueue(hashedStudentId, collectMethod.key);
+			}).filter(collectMethod => {
+				return currentSettings.consentAnswered && currentSettings.sendData[DATA_KIND_BY_COLLECT_KEY[collectMethod.key]];
+			}).forEach(collectMethod => {
+				promise = promise.then(() => {
+					return collectMethod.method();
+				});
+			});
+
+			return promise.then(() => {
+				return sendQueuedData(currentSettings);
+			});
+		});
+	};
+
+	let collectTakenSurveys = function (hashedStudentId) {
+		return Promise.resolve().then(() => {
+			return pagesDataParser.getTakenSurveys();
+		}).then(takenSurveys => {
+			takenSurveys.forEach(survey => survey.surveyTaker = hashedStudentId);
+			addToQueue(hashedStudentId, COLLECT_SURVEYS_KEY, "postProfessorSurveys", takenSurveys);
+		});
+	};
+
+	let collectClassSchedulesWithProfessors = function (hashedStudentId) {
+		return Promise.all([
+			pagesDataParser.getProfessorClassesFromSurveys(),
+			pagesDataParser.getClassSchedules(),
+		]).then(results => {
+			let classSchedules = results[0].concat(results[1]);
+			addToQueue(hashedStudentId, COLLECT_SCHEDULES_KEY, "postClassSchedules", classSchedules);
+		});
+	};
+
+	// ---- Queue
+
+	/**
+	 * Adds the collected data to the queue, to be sent by {@link sendQueuedData}.
+	 * If there is nothing to send, it is considered collected right away.
+	 * @param apiMethod the ApiConnector method used to send the data.
+	 */
+	let addToQueue = function (hashedStudentId, collectKey, apiMethod, data) {
+		if (!data.length) {
+			markAsCollected(hashedStudentId, collectKey);
+			return;
+		}
+		let queue = getQueue();
+		queue.push({
+			hashedStudentId: hashedStudentId,
+			collectKey: collectKey,
+			apiMethod: apiMethod,
+			data: data,
+			attempts: 0,
+			nextAttemptTime: Date.now(),
+		});
+		saveQueue(queue);
+	};
+
+	let isPendingInQueue = function (hashedStudentId, collectKey) {
+		return getQueue().some(item => item.hashedStudentId === hashedStudentId && item.collectKey === collectKey);
+	};
+
+	/**
+	 * Sends, one at a time, the queued items that are due. Items that fail are retried later with exponential backoff,
+	 * and dropped after {@link QUEUE_MAX_ATTEMPTS} attempts, or right away if the api rejected them as invalid (4xx).
+	 * The hash migration is the exception: it can't be collected again, so if the api does not have its endpoint yet (404)
+	 * it is retried once a day, until it reaches the max attempts too.
+	 * Items that the user does not allow to send anymore are dropped.
+	 * Does nothing if another tab is already sending them, or if the user has not answered the consent prompt yet,
+	 * in which case the items are kept (e.g. the {@link migrateLegacyHashedStudentId} one of users from before the prompt existed).
+	 */
+	let sendQueuedData = function (currentSettings) {
+		if (!currentSettings.consentAnswered || !acquireQueueLock()) return Promise.resolve();
+
+		getQueue()
+			.filter(item => !currentSettings.sendData[DATA_KIND_BY_COLLECT_KEY[item.collectKey]])
+			.forEach(removeFromQueue);
+
+		let dueItems = getQueue().filter(item => item.nextAttemptTime <= Date.now());
+		let promise = Promise.resolve();
+		dueItems.forEach(item => {
+			promise = promise.then(() => {
+				return apiConnector[item.apiMethod](item.data);
+			}).then(() => {
+				removeFromQueue(item);
+				markAsCollected(item.hashedStudentId, item.collectKey);
+			}).catch(e => {
+				item.attempts++;
+				let isMissingHashMigrationEndpoint = item.collectKey === COLLECT_HASH_MIGRATION_KEY && e && e.status === 404;
+				if (item.attempts >= QUEUE_MAX_ATTEMPTS || (!isMissingHashMigrationEndpoint && e && e.status >= 400 && e.status < 500)) {
+					console.warn(`Dropping queued ${item.apiMethod} after ${item.attempts} attempts`, e);
+					removeFromQueue(item);
+					// Not returned, so that the next items are sent even if the log fails.
+					apiConnector.logMessage("sendQueuedData", true, `Dropped queued ${item.apiMethod} after ${item.attempts} attempts: ${JSON.stringify(e)}`).catch(() => {});
+				} else {
+					item.nextAttemptTime = Date.now() + (isMissingHashMigrationEndpoint ? ONE_DAY_MS : Math.min(QUEUE_RETRY_BASE_MS * Math.pow(2, item.attempts), ONE_DAY_MS));
+					updateInQueue(item);
+				}
+			});
+		});
+		return promise.finally(() => {
+			releaseQueueLock();
+		});
+	};
+
+	let getQueue = function () {
+		return JSON.parse(localStorage.getItem(LOCAL_STORAGE_QUEUE_KEY)) || [];
+	};
+
+	let saveQueue = function (queue) {
+		localStorage.setItem(LOCAL_STORAGE_QUEUE_KEY, JSON.stringify(queue));
+	};
+
+	// Items are compared by these fields, as they are read again from the storage each time, given that other tabs may have changed the queue.
+	let isSameItem = (item1, item2) => item1.hashedStudentId === item2.hashedStudentId && item1.collectKey === item2.collectKey;
+
+	let removeFromQueue = function (item) {
+		saveQueue(getQueue().filter(queuedItem => !isSameItem(queuedItem, item)));
+	};
+
+	let updateInQueue = function (item) {
+		saveQueue(getQueue().map(queuedItem => isSameItem(queuedItem, item) ? item : queuedItem));
+	};
+
+	let queueLockOwner = Math.random().toString(36).substring(2);
+
+	/**
+	 * The lock expires after {@link QUEUE_LOCK_TIMEOUT_MS}, in case the tab that had it was closed while sending.
+	 * @return {boolean} whether the lock was acquired.
+	 */
+	let acquireQueueLock = function () {
+		let lock = JSON.parse(localStorage.getItem(LOCAL_STORAGE_QUEUE_LOCK_KEY));
+		if (lock && lock.owner !== queueLockOwner && lock.expirationTime > Date.now()) return false;
+		localStorage.setItem(LOCAL_STORAGE_QUEUE_LOCK_KEY, JSON.stringify({
+			owner: queueLockOwner,
+			expirationTime: Date.now() + QUEUE_LOCK_TIMEOUT_MS,
+		}));
+		return true;
+	};
+
+	let releaseQueueLock = function () {
+		let lock = JSON.parse(localStorage.getItem(LOCAL_STORAGE_QUEUE_LOCK_KEY));
+		if (lock && lock.owner === queueLockOwner) localStorage.removeItem(LOCAL_STORAGE_QUEUE_LOCK_KEY);
+	};
+
+	// ----
+
+	let markAsCollected = function (hashedStudentId, collectKey) {
+		let lastTimeCollected = getLastTimeCollectedForStudentId(hashedStudentId);
+		lastTimeCollected[collectKey] = Date.now();
+		saveLastTimeCollected(hashedStudentId, lastTimeCollected);
+	};
+
+	let getLastTimeCollectedByHashedStudentId = function () {
+		let lastTimeCollectedByHashedStudentId = JSON.parse(localStorage.getItem(LOCAL_STORAGE_DATA_COLLECTOR_KEY));
+		if (!lastTimeCollectedByHashedStudentId) {
+			lastTimeCollectedByHashedStudentId = {};
+			localStorage.setItem(LOCAL_STORAGE_DATA_COLLECTOR_KEY, JSON.stringify(lastTimeCollectedByHashedStudentId));
+		}
+		return lastTimeCollectedByHashedStudentId;
+	};
+
+	let getLastTimeCollectedForStudentId = function (hashedStudentId) {
+		return getLastTimeCollectedByHashedStudentId()[hashedStudentId] || {};
+	};
+
+	let saveLastTimeCollected = function (hashedStudentId, lastTimeCollected) {
+		let lastTimeCollectedByHashedStudentId = getLastTimeCollectedByHashedStudentId();
+		lastTimeCollectedByHashedStudentId[hashedStudentId] = lastTimeCollected;
+		localStorage.setItem(LOCAL_STORAGE_DATA_COLLECTOR_KEY, JSON.stringify(lastTimeCollectedByHashedStudentId));
+	};
+
+	// Used to make the studentId anonymous, before getHashedStudentId used a salted SHA-256. Only used to migrate the stored data.
+	let legacyHashCode = function (str) {
+		let hash = 0;
+		for (let i = 0; i < str.length; i++) {
+			hash = ((hash << 5) - hash) + str.charCodeAt(i);
+			hash = hash & hash; // Convert to 32bit integer
+		}
+		return hash;
+	};
+
+	let markSurveysToBeCollected = function () {
+		return getHashedStudentId().then(hashedStudentId => {
+			let lastTimeCollected = getLastTimeCollectedForStudentId(hashedStudentId);
+			delete lastTimeCollected[COLLECT_SURVEYS_KEY];
+			saveLastTimeCollected(hashedStudentId, lastTimeCollected);
+			// The pending surveys are collected again along with the new one.
+			removeFromQueue({hashedStudentId: hashedStudentId, collectKey: COLLECT_SURVEYS_KEY});
+		});
+	};
+
+	// Public
+	return {
+		logUserStat: logUserStat,
+		collectBackgroundDataIfNeeded: collectBackgroundDataIfNeeded,
+		markSurveysToBeCollected: markSurveysToBeCollected,
+	};
+};
@@ -0,0 +1,88 @@
+/**
+ * Parses schedules typed as free text, e.g.: "Miércoles 13.30 a 15.45 hs.", "JUEVES: 19 A 21 HS. / ARQ.", "Lunes y Jueves de 19 a 22 hs",
+ * onto the hours of the shifts, the same way that the schedules such as "Lu(n)1:5" are represented.
+ * @param hours the hours of each shift, as in Utils.HOURS.
+ */
+let FreeTextScheduleParser = function (hours) {
+
+	// Day names that can be found in schedules typed as free text, without accents, e.g.: "JUEVES: 19 A 21 HS."
+	const DAYS_BY_NAME = {
+		lunes: "Lu", lun: "Lu",
+		martes: "Ma", mar: "Ma",
+		miercoles: "Mi", mie: "Mi",
+		jueves: "Ju", jue: "Ju",
+		viernes: "Vi", vie: "Vi",
+		sabados: "Sa", sabado: "Sa", sab: "Sa",
+	};
+	// A time such as "19", "19:30", "19.30", "19hs", "19.30 hs."
+	const FREE_TEXT_TIME = "\\b(\\d{1,2})(?:[:.](\\d{2}))?(?!\\d)\\s*(?:hs?\\b\\.?)?";
+	// Either a day name or a time range, e.g.: "19 a 21", "14:00 A 16.30 HS.", "19hs - 21hs"
+	const FREE_TEXT_SCHEDULE_REGEX = new RegExp(`\\b(${Object.keys(DAYS_BY_NAME).join("|")})\\b|${FREE_TEXT_TIME}\\s*(?:a|al|hasta|-)\\s*${FREE_TEXT_TIME}`, "g");
+
+	/**
+	 * Each time range applies to the days that come before it, and everything else in the string is ignored.
+	 * @return {Array|null} the schedules, or null if the string couldn't be parsed.
+	 */
+	let getSchedulesFromFreeText = function (str) {
+		let normalizedStr = str.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+		let schedules = [];
+		let days = [];
+		for (let match of normalizedStr.matchAll(FREE_TEXT_SCHEDULE_REGEX)) {
+			if (match[1]) {
+				days.push(DAYS_BY_NAME[match[1]]);
+				continue;
+			}
+			let start = getMinutesOfDay(match[2], match[3]);
+			let end = getMinutesOfDay(match[4], match[5]);
+			if (!days.length || start === null || end === null || start >= end) return null;
+			let shiftHours = getHoursFromTimeRange(start, end);
+			days.forEach(day => schedules.push({
+				day: day,
+				shift: shiftHours.shift,
+				firstHour: shiftHours.firstHour,
+				lastHour: shiftHours.lastHour,
+			}));
+			days = [];
+		}
+		// Days without a time range after them.
+		if (days.length || !schedules.length) return null;
+		return schedules;
+	};
+
+	let getMinutesOfDay = function (hoursStr, minutesStr) {
+		let hours = parseInt(hoursStr);
+		let minutes = minutesStr ? parseInt(minutesStr) : 0;
+		if (hours > 23 || minutes > 59) return null;
+		return hours * 60 + minutes;
+	};
+
+	/**
+	 * Maps a time range to the hours of the shift that fits it best, using the hours whose start and end are the
+	 * nearest to the ones of the range. If the end of the range is right between two hours, the later one is used.
+	 * @return {{shift: string, firstHour: string, lastHour: string}}
+	 */
+	let getHoursFromTimeRange = function (start, end) {
+		let toMinutes = time => getMinutesOfDay(...time.split(":"));
+		return Object.entries(hours).map(entry => {
+			let shiftHours = Object.entries(entry[1]).map(hourEntry => ({
+				hour: hourEntry[0],
+				start: toMinutes(hourEntry[1].start),
+				end: toMinutes(hourEntry[1].end),
+			}));
+			let firstHour = shiftHours.reduce((best, hour) => Math.abs(hour.start - start) < Math.abs(best.start - start) ? hour : best);
+			let lastHour = shiftHours.filter(hour => hour.end > firstHour.start)
+				.reduce((best, hour) => Math.abs(hour.end - end) <= Math.abs(best.end - end) ? hour : best);
+			return {
+				shift: entry[0],
+				firstHour: firstHour.hour,
+				lastHour: lastHour.hour,
+				difference: Math.abs(firstHour.start - start) + Math.abs(lastHour.end - end),
+			};
+		}).reduce((best, shiftHours) => shiftHours.difference < best.difference ? shiftHours : best);
+	};
+
+	// Public
+	return {
+		getSchedulesFromFreeText: getSchedulesFromFreeText,
+	};
+};
@@ -0,0 +1,121 @@
+/**
+ * Maps the courses that a student took, in any plan, onto the courses of a given plan, using the equivalences between plans
+ * returned by the api. Equivalences can be:
+ * - TOTAL: the course of the plan is passed (or signed) if all its equivalent courses of the previous plan are. Renamed
+ *   courses have one equivalent course, and merged ones have several.
+ * - PARTIAL: the equivalent courses are recognized, but something else is still needed to pass the course (e.g. a complementary exam).
+ * Plans are chained, e.g. for a student of K95 moving to K23, their courses are first mapped onto K08 and then onto K23.
+ * The plan courses that no equivalence maps onto are matched by their code, see {@link mapCoursesByCode}, and are marked so
+ * that the views can show that they were not recognized by an equivalence.
+ */
+let PlanEquivalences = function (apiConnector) {
+
+	/**
+	 * Loads the equivalences into the given plan, and then the ones into each of the plans that they come from.
+	 * A plan whose equivalences can't be retrieved is added to failedPlanCodes, and the ones that did load are still used.
+	 * @return {Promise<{equivalencesByPlanCode: Object, failedPlanCodes: Array<string>}>} planCode -> equivalences into that plan.
+	 */
+	let loadEquivalences = function (planCode, loadedEquivalences = {equivalencesByPlanCode: {}, failedPlanCodes: []}) {
+		if (loadedEquivalences.equivalencesByPlanCode[planCode] || loadedEquivalences.failedPlanCodes.indexOf(planCode) !== -1) {
+			return Promise.resolve(loadedEquivalences);
+		}
+		return apiConnector.getPlanEquivalences(planCode).then(equivalences => {
+			loadedEquivalences.equivalencesByPlanCode[planCode] = equivalences;
+			let fromPlanCodes = [...new Set(equivalences.map(equivalence => equivalence.fromPlanCode))];
+			// Sequentially, so that a plan that is reached from two others is not requested twice.
+			return fromPlanCodes.reduce((promise, fromPlanCode) => promise.then(() => loadEquivalences(fromPlanCode, loadedEquivalences)), Promise.resolve());
+		}, e => {
+			console.error(`Couldn't load the equivalences into plan ${planCode}`, e);
+			loadedEquivalences.failedPlanCodes.push(planCode);
+		}).then(() => {
+			return loadedEquivalences;
+		});
+	};
+
+	/**
+	 * @param visitedPlanCodes the plans that are being mapped, to avoid going back to them if two plans have equivalences to each other.
+	 */
+	let mapCourses = function (planCode, passedCourses, equivalencesByPlanCode, visitedPlanCodes) {
+		let toOrigins = courseCodes => courseCodes.reduce((origins, courseCode) => {
+			origins[courseCode] = [courseCode];
+			return origins;
+		}, {});
+		let mappedCourses = {
+			signed: toOrigins(passedCourses.signed),
+			passed: toOrigins(passedCourses.passed),
+			partial: {},
+			matchedByCode: {},
+		};
+
+		let mappedCoursesByPlanCode = {};
+		(equivalencesByPlanCode[planCode] || [])
+			.filter(equivalence => visitedPlanCodes.indexOf(equivalence.fromPlanCode) === -1)
+			.forEach(equivalence => {
+				let fromPlanCode = equivalence.fromPlanCode;
+				if (!mappedCoursesByPlanCode[fromPlanCode]) {
+					mappedCoursesByPlanCode[fromPlanCode] = mapCourses(fromPlanCode, passedCourses, equivalencesByPlanCode, visitedPlanCodes.concat([planCode]));
+				}
+				let fromMappedCourses = mappedCoursesByPlanCode[fromPlanCode];
+				let getOrigins = requirement => {
+					if (!equivalence.fromCourseCodes.every(courseCode => fromMappedCourses[requirement][courseCode])) return null;
+					return [...new Set(equivalence.fromCourseCodes.flatMap(courseCode => fromMappedCourses[requirement][courseCode]))];
+				};
+
+				let requirements = equivalence.kind === "TOTAL" ? ["signed", "passed"] : ["partial"];
+				requirements.forEach(requirement => {
+					let origins = getOrigins(requirement === "partial" ? "passed" : requirement);
+					if (origins && !mappedCourses[requirement][equivalence.courseCode]) {
+						mappedCourses[requirement][equivalence.courseCode] = origins;
+					}
+				});
+			});
+
+		// A course can be both partially and totally equivalent to different courses, in which case it is passed.
+		Object.keys(mappedCourses.partial)
+			.filter(courseCode => mappedCourses.passed[courseCode])
+			.forEach(courseCode => delete mappedCourses.partial[courseCode]);
+		return mappedCourses;
+	};
+
+	/**
+	 * Fallback for the plan courses that no equivalence into the plan maps onto, e.g. if the equivalences are not complete or
+	 * couldn't be retrieved. We use the last 4 chars of the codes, removing the first 2 that identify the specific plan, as
+	 * they are usually kept across plans. For example, a student passed 952021 (K95), which is 082021 (K08) in the new plan.
+	 * As that is only a guess, the courses matched this way are added to mappedCourses.matchedByCode.
+	 */
+	let mapCoursesByCode = function (mappedCourses, passedCourses, planCourseCodes, equivalences) {
+		let equivalentCourseCodes = equivalences.map(equivalence => equivalence.courseCode);
+		planCourseCodes
+			.filter(courseCode => equivalentCourseCodes.indexOf(courseCode) === -1)
+			.forEach(courseCode => ["signed", "passed"].forEach(requirement => {
+				if (mappedCourses[requirement][courseCode]) return;
+				let origins = passedCourses[requirement].filter(passedCourseCode => passedCourseCode.substring(2) === courseCode.substring(2));
+				if (!origins.length) return;
+				mappedCourses[requirement][courseCode] = [...new Set(origins)];
+				mappedCourses.matchedByCode[courseCode] = true;
+			}));
+	};
+
+	/**
+	 * Maps the student's courses onto the given plan. Each returned course is mapped to its origins, the student's course codes
+	 * from which it was obtained: itself if the student took it, or the equivalent courses of previous plans otherwise.
+	 * If the equivalences of some plan can't be retrieved, the rest are still used and equivalencesUnavailable is set.
+	 * @param passedCourses as returned by PagesDataParser#getPassedCourses.
+	 * @param planCourseCodes the courses of the plan, to match the ones without equivalences by their code.
+	 * @return {Promise<{signed: Object, passed: Object, partial: Object, matchedByCode: Object, equivalencesUnavailable: boolean}>}
+	 * each being courseCode -> origins, except for matchedByCode which is courseCode -> true.
+	 */
+	let mapPassedCourses = function (planCode, passedCourses, planCourseCodes = []) {
+		return loadEquivalences(planCode).then(loadedEquivalences => {
+			let mappedCourses = mapCourses(planCode, passedCourses, loadedEquivalences.equivalencesByPlanCode, []);
+			mapCoursesByCode(mappedCourses, passedCourses, planCourseCodes, loadedEquivalences.equivalencesByPlanCode[planCode] || []);
+			mappedCourses.equivalencesUnavailable = loadedEquivalences.failedPlanCodes.length > 0;
+			return mappedCourses;
+		});
+	};
+
+	// Public
+	return {
+		mapPassedCourses: mapPassedCourses,
+	};
+};
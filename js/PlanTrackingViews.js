@@ -0,0 +1,533 @@
+/**
+ * Views of a plan that are the same for both sites, built from the plan courses once they have their status set (isPassed,
+ * isSigned, canRegister, canTakeFinalExam, isPartiallyEquivalent and isMatchedByCode).
+ * @param services the services of the site: apiConnector, pagesDataParser and utils.
+ * @param markup the html of the elements whose classes depend on the site: progressDiv, simulationDiv, suggestionsDiv (with its
+ * title), select, table and button.
+ */
+let PlanTrackingViews = function (services, markup) {
+
+	const TRANSLATIONS = {
+		"SIGNED": "Firmada",
+		"PASSED": "Aprobada",
+		"REGISTER": "Cursar",
+		"TAKE_FINAL_EXAM": "Rendir final",
+		"PARTIAL": "Equivalencia parcial",
+	};
+
+	// Besides its color, each status has a symbol so that it can be told apart when printed in black and white.
+	const COURSE_STATUSES = {
+		PASSED: {status: TRANSLATIONS["PASSED"], color: "#55bb55", symbol: "✔"},
+		CAN_TAKE_FINAL_EXAM: {status: "Puede " + TRANSLATIONS["TAKE_FINAL_EXAM"].toLowerCase(), color: "#ffcc00", symbol: "◆"},
+		SIGNED: {status: TRANSLATIONS["SIGNED"], color: "#ffcc00", symbol: "◇"},
+		PARTIAL: {status: TRANSLATIONS["PARTIAL"], color: "#99cc99", symbol: "◐"},
+		CAN_REGISTER: {status: "Puede " + TRANSLATIONS["REGISTER"].toLowerCase(), color: "#5555bb", symbol: "○"},
+		NOT_AVAILABLE: {status: undefined, color: "#7e7e7e", symbol: "✖"},
+	};
+
+	/**
+	 * The status to show for a plan course.
+	 * @returns {{status: string|undefined, color: string, symbol: string}} one of COURSE_STATUSES.
+	 */
+	let getCourseStatus = function (course) {
+		if (course.isPassed) return COURSE_STATUSES.PASSED;
+		if (course.canTakeFinalExam) return COURSE_STATUSES.CAN_TAKE_FINAL_EXAM;
+		if (course.isSigned) return COURSE_STATUSES.SIGNED;
+		if (course.isPartiallyEquivalent) return COURSE_STATUSES.PARTIAL;
+		if (course.canRegister) return COURSE_STATUSES.CAN_REGISTER;
+		return COURSE_STATUSES.NOT_AVAILABLE;
+	};
+
+	// Course names and codes come from the api, and the simulated plan code is typed by the user, so they are escaped before adding them to the html.
+	// The svgs are also loaded as images to download them, which fails with invalid xml.
+	let escapeXml = text => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+	/**
+	 * Summary of the student's progress in the plan.
+	 * The percentages only consider the mandatory courses, as we don't know how many electives are needed.
+	 * The remaining quarters are estimated with the amount of plan courses passed per quarter since the student started.
+	 * @param startYear the year in which the student started, or null if it is not known.
+	 */
+	let getProgressHtml = function (planCourses, startYear) {
+		let courses = planCourses.filter(course => course.level !== 0);
+		let mandatoryCourses = courses.filter(course => !course.elective);
+		let electiveCourses = courses.filter(course => course.elective);
+		let countPassed = courses => courses.filter(course => course.isPassed).length;
+		let getPercentage = courses => courses.length ? Math.round(countPassed(courses) / courses.length * 100) : 0;
+		let getProgressLine = (title, courses) => `
+			<tr>
+				<td>${title}</td>
+				<td>${countPassed(courses)} de ${courses.length}</td>
+				<td><div class="progress"><div class="bar" style="width: ${getPercentage(courses)}%;"></div></div></td>
+				<td>${getPercentage(courses)}%</td>
+			</tr>`;
+
+		let levels = [...new Set(mandatoryCourses.map(course => course.level))].sort();
+		let levelLines = levels.map(level => getProgressLine(`Nivel ${level}`, mandatoryCourses.filter(course => course.level === level))).join("");
+
+		// Available electives are only counted, as there are usually too many to list them.
+		let getAvailableCoursesHtml = isAvailable => {
+			let availableCourses = courses.filter(course => !course.isPassed && isAvailable(course));
+			let names = availableCourses
+				.filter(course => !course.elective)
+				.map(course => `[${course.courseCode}] ${course.courseName}`);
+			let electivesCount = availableCourses.filter(course => course.elective).length;
+			if (electivesCount) names.push(`${electivesCount} electiva${electivesCount > 1 ? "s" : ""}`);
+			return names.length ? names.join(", ") : "Ninguna";
+		};
+
+		let matchedByCodeCourses = courses.filter(course => course.isMatchedByCode);
+		let matchedByCodeHtml = matchedByCodeCourses.length ?
+			`<div>Reconocidas por código, sin una equivalencia entre planes que lo confirme: ${matchedByCodeCourses.map(course => `[${course.courseCode}] ${course.courseName}`).join(", ")}</div>` :
+			"";
+
+		let remainingCount = mandatoryCourses.length - countPassed(mandatoryCourses);
+		let estimation;
+		if (!remainingCount) {
+			estimation = "Todas las materias obligatorias están aprobadas.";
+		} else if (!startYear || !countPassed(courses)) {
+			estimation = "No hay suficientes datos para estimarlo.";
+		} else {
+			let now = new Date();
+			// Two quarters per year, the second one starting in August.
+			let elapsedQuarters = (now.getFullYear() - parseInt(startYear)) * 2 + (now.getMonth() >= 7 ? 2 : 1);
+			let passedPerQuarter = countPassed(courses) / Math.max(elapsedQuarters, 1);
+			estimation = `${Math.ceil(remainingCount / passedPerQuarter)} cuatrimestres para las ${remainingCount} materias obligatorias restantes, ` +
+				`aprobando ${passedPerQuarter.toFixed(1)} materias del plan por cuatrimestre como hasta ahora.`;
+		}
+
+		let $progressDiv = $(markup.progressDiv);
+		$progressDiv.append($(markup.table).append(`<tbody>${getProgressLine("Obligatorias", mandatoryCourses)}${levelLines}</tbody>`));
+		$progressDiv.append(`
+			<div>Electivas: ${countPassed(electiveCourses)} aprobadas y ${electiveCourses.filter(course => course.isSigned && !course.isPassed).length} firmadas, de ${electiveCourses.length} en el plan.</div>
+			<div>Puede ${TRANSLATIONS["REGISTER"].toLowerCase()}: ${getAvailableCoursesHtml(course => !course.isSigned && course.canRegister)}</div>
+			<div>Puede ${TRANSLATIONS["TAKE_FINAL_EXAM"].toLowerCase()}: ${getAvailableCoursesHtml(course => course.isSigned && course.canTakeFinalExam)}</div>
+			<div>Tiempo restante estimado: ${estimation}</div>
+			${matchedByCodeHtml}`);
+		return $progressDiv.prop("outerHTML");
+	};
+
+	/**
+	 * Shows how the student's courses would be recognized in another plan, so that they can check it before asking for the change.
+	 * @param mappedCourses as returned by PlanEquivalences#mapPassedCourses.
+	 */
+	let getSimulationHtml = function (planCode, planCourses, passedCourses, mappedCourses) {
+		const REQUIREMENTS = {passed: "PASSED", partial: "PARTIAL", signed: "SIGNED"};
+		let recognizedCourses = planCourses.map(course => {
+			let requirement = Object.keys(REQUIREMENTS).find(requirement => mappedCourses[requirement][course.courseCode]);
+			return {course: course, requirement: requirement, origins: requirement ? mappedCourses[requirement][course.courseCode] : []};
+		}).filter(recognizedCourse => recognizedCourse.requirement);
+
+		let trs = recognizedCourses.map(recognizedCourse => {
+			let course = recognizedCourse.course;
+			let origins = recognizedCourse.origins.join(", ") === course.courseCode ? "La misma materia" : escapeXml(recognizedCourse.origins.join(", "));
+			if (mappedCourses.matchedByCode[course.courseCode]) origins += " (por código)";
+			return `<tr><td>[${escapeXml(course.courseCode)}] ${escapeXml(course.courseName)}</td><td>${TRANSLATIONS[REQUIREMENTS[recognizedCourse.requirement]]}</td><td>${origins}</td></tr>`;
+		}).join("");
+
+		let recognizedCourseCodes = recognizedCourses
+			.filter(recognizedCourse => recognizedCourse.requirement !== "signed")
+			.flatMap(recognizedCourse => recognizedCourse.origins);
+		let notRecognizedCourseCodes = [...new Set(passedCourses.passed)].filter(courseCode => recognizedCourseCodes.indexOf(courseCode) === -1);
+
+		let $simulationDiv = $(markup.simulationDiv);
+		$simulationDiv.append(`<div>Simulación del cambio al plan ${escapeXml(planCode)} con la historia académica actual. Las equivalencias pueden no estar completas, por lo que hay que confirmarlas antes de pedir el cambio. Las materias reconocidas por código no tienen una equivalencia entre planes que lo confirme.</div>`);
+		$simulationDiv.append($(markup.table).append(`<tbody>
+			<tr><th>Materia del plan ${escapeXml(planCode)}</th><th>Estado</th><th>Reconocida por</th></tr>
+			${trs || `<tr><td colspan="3">No se reconoce ninguna materia.</td></tr>`}
+		</tbody>`));
+		$simulationDiv.append(`<div>Materias aprobadas que no se reconocen en el plan ${escapeXml(planCode)}: ${escapeXml(notRecognizedCourseCodes.join(", ")) || "Ninguna"}</div>`);
+		return $simulationDiv.prop("outerHTML");
+	};
+
+	/**
+	 * Graph of the whole plan, where the courses are grouped by level and each dependency is an arrow to the course that needs it.
+	 * The longest chain of mandatory courses that are not passed yet is highlighted, as each of them has to wait for the
+	 * previous one, so it is the chain that is delaying the graduation the most.
+	 * The styles are set as attributes of the svg elements, so that the svg can also be used on its own.
+	 */
+	let getDependencyGraphHtml = function (planCourses, hasCourse) {
+		const NODE_WIDTH = 170;
+		const NODE_HEIGHT = 40;
+		const COLUMN_WIDTH = 240;
+		const ROW_HEIGHT = 55;
+		const MARGIN = 20;
+		const HEADER_HEIGHT = 25;
+		const CHAIN_COLOR = "#d9534f";
+
+		let courses = planCourses.filter(course => course.level !== 0);
+		let levels = [...new Set(courses.map(course => course.level))].sort();
+
+		let positionsByCode = {};
+		let maxRows = 0;
+		levels.forEach((level, column) => {
+			let levelCourses = courses
+				.filter(course => course.level === level)
+				.sort((c1, c2) => (c1.elective - c2.elective) || c1.courseCode.localeCompare(c2.courseCode));
+			levelCourses.forEach((course, row) => positionsByCode[course.courseCode] = {
+				x: MARGIN + column * COLUMN_WIDTH,
+				y: MARGIN + HEADER_HEIGHT + row * ROW_HEIGHT,
+			});
+			maxRows = Math.max(maxRows, levelCourses.length);
+		});
+
+		let remainingCourses = courses.filter(course => !course.elective && !course.isPassed);
+		let chainsByCode = {};
+		let getLongestChain = course => {
+			if (!chainsByCode[course.courseCode]) {
+				// Set before going through the dependents, so that we don't loop forever if the plan has a cycle.
+				chainsByCode[course.courseCode] = [course];
+				let longestDependentsChain = remainingCourses
+					.filter(dependent => dependent.dependencies.some(dependency => dependency.courseCode === course.courseCode && !hasCourse(dependency.requirement, dependency.courseCode)))
+					.map(getLongestChain)
+					.reduce((longest, chain) => chain.length > longest.length ? chain : longest, []);
+				chainsByCode[course.courseCode] = [course].concat(longestDependentsChain);
+			}
+			return chainsByCode[course.courseCode];
+		};
+		let longestChain = remainingCourses
+			.map(getLongestChain)
+			.reduce((longest, chain) => chain.length > longest.length ? chain : longest, []);
+		let chainCodes = longestChain.map(course => course.courseCode);
+		let isChainEdge = (fromCode, toCode) => chainCodes.indexOf(fromCode) !== -1 && chainCodes.indexOf(toCode) === chainCodes.indexOf(fromCode) + 1;
+
+		let headers = levels.map((level, column) => `
+			<text x="${MARGIN + column * COLUMN_WIDTH + NODE_WIDTH / 2}" y="${MARGIN + 10}" text-anchor="middle" font-weight="bold" font-size="13">Nivel ${level}</text>`
+		).join("");
+
+		let edges = courses.map(course => course.dependencies
+			.filter(dependency => positionsByCode[dependency.courseCode])
+			.map(dependency => {
+				let from = positionsByCode[dependency.courseCode];
+				let to = positionsByCode[course.courseCode];
+				// Both kinds of edges usually go between the same courses, so they are drawn slightly apart.
+				let offset = dependency.kind === "REGISTER" ? -5 : 5;
+				let y1 = from.y + NODE_HEIGHT / 2 + offset;
+				let y2 = to.y + NODE_HEIGHT / 2 + offset;
+				let path;
+				if (from.x < to.x) {
+					let x1 = from.x + NODE_WIDTH;
+					let middleX = (x1 + to.x) / 2;
+					path = `M ${x1} ${y1} C ${middleX} ${y1}, ${middleX} ${y2}, ${to.x} ${y2}`;
+				} else {
+					// Dependencies within the same level go around the left side of the column.
+					path = `M ${from.x} ${y1} C ${from.x - 40} ${y1}, ${to.x - 40} ${y2}, ${to.x} ${y2}`;
+				}
+				let isInChain = isChainEdge(dependency.courseCode, course.courseCode);
+				let isMet = hasCourse(dependency.requirement, dependency.courseCode);
+				return `<path d="${path}" fill="none"
+					stroke="${isInChain ? CHAIN_COLOR : "#333333"}" stroke-width="${isInChain ? 3 : 1}" stroke-opacity="${isMet && !isInChain ? 0.25 : 1}"
+					${dependency.kind === "TAKE_FINAL_EXAM" ? `stroke-dasharray="6,4"` : ""}
+					marker-end="url(#${isInChain ? "plan-graph-chain-arrow" : "plan-graph-arrow"})">
+					<title>${TRANSLATIONS[dependency.kind]} [${escapeXml(course.courseCode)}] requiere ${TRANSLATIONS[dependency.requirement].toLowerCase()} [${escapeXml(dependency.courseCode)}]</title>
+				</path>`;
+			}).join("")
+		).join("");
+
+		let nodes = courses.map(course => {
+			let position = positionsByCode[course.courseCode];
+			let courseStatus = getCourseStatus(course);
+			let isInChain = chainCodes.indexOf(course.courseCode) !== -1;
+			let name = course.courseName.length > 26 ? course.courseName.substring(0, 25) + "…" : course.courseName;
+			return `
+				<g>
+					<title>[${escapeXml(course.courseCode)}] ${escapeXml(course.courseName)}${courseStatus.status ? " - " + courseStatus.status : ""}</title>
+					<rect x="${position.x}" y="${position.y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="3" fill="${courseStatus.color}"
+						stroke="${isInChain ? CHAIN_COLOR : "black"}" stroke-width="${isInChain ? 3 : 1}" ${course.elective ? `stroke-dasharray="4,2"` : ""}></rect>
+					<text x="${position.x + NODE_WIDTH / 2}" y="${position.y + 15}" text-anchor="middle" font-size="10">[${escapeXml(course.courseCode)}]${course.elective ? " Electiva" : ""}</text>
+					<text x="${position.x + NODE_WIDTH / 2}" y="${position.y + 31}" text-anchor="middle" font-size="12">${escapeXml(name)}</text>
+				</g>`;
+		}).join("");
+
+		let chainDescription = longestChain.length ?
+			`En rojo, la cadena más larga de materias obligatorias pendientes (${longestChain.length}), donde cada una es correlativa de la siguiente: ` +
+			longestChain.map(course => escapeXml(course.courseName)).join(" → ") :
+			"No quedan materias obligatorias pendientes.";
+
+		return `
+			<div class="plan-graph" style="display: none; overflow-x: auto;">
+				<div>Línea continua: correlativa para ${TRANSLATIONS["REGISTER"].toLowerCase()}. Línea punteada: correlativa para ${TRANSLATIONS["TAKE_FINAL_EXAM"].toLowerCase()}. Las correlativas ya cumplidas se ven más claras.</div>
+				<div>${chainDescription}</div>
+				<svg xmlns="http://www.w3.org/2000/svg" width="${2 * MARGIN + (levels.length - 1) * COLUMN_WIDTH + NODE_WIDTH}" height="${2 * MARGIN + HEADER_HEIGHT + maxRows * ROW_HEIGHT}" font-family="Arial, sans-serif">
+					<defs>
+						<marker id="plan-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+							<path d="M 0 0 L 10 5 L 0 10 z" fill="#333333"></path>
+						</marker>
+						<marker id="plan-graph-chain-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="4" markerHeight="4" orient="auto">
+							<path d="M 0 0 L 10 5 L 0 10 z" fill="${CHAIN_COLOR}"></path>
+						</marker>
+					</defs>
+					<rect width="100%" height="100%" fill="white"></rect>
+					${headers}
+					${edges}
+					${nodes}
+				</svg>
+			</div>`;
+	};
+
+	/**
+	 * Panel with the courses that the student can register for, along with the shifts, branches and professors of their
+	 * classes in the last years, so that they can choose what to take next quarter.
+	 * The classes are only requested when asked for, as it takes one request per course.
+	 */
+	let createSuggestionsDiv = function (planCourses) {
+		const CLASSES_LIMIT = 30;
+		// Only the classes of the last years in which the course was given are considered.
+		const RECENT_YEARS = 2;
+		const MAX_PROFESSORS = 3;
+
+		let courses = planCourses
+			.filter(course => course.level !== 0 && course.canRegister && !course.isSigned && !course.isPassed)
+			.sort((c1, c2) => (c1.elective - c2.elective) || (c1.level - c2.level));
+		let classesByCourseCode = {};
+
+		let $suggestionsDiv = $(markup.suggestionsDiv);
+		if (!courses.length) {
+			$suggestionsDiv.append("<div>No hay materias que se puedan cursar.</div>");
+			return $suggestionsDiv;
+		}
+
+		let createCombo = function (clazz, map) {
+			let $select = $(markup.select).addClass(clazz);
+			$select.append(`<option value="">- Sin filtro -</option>`);
+			Object.entries(map).forEach(entry => $select.append(`<option value="${entry[0]}">${entry[1]}</option>`));
+			return $select;
+		};
+		let $filtersDiv = $(`<div>Preferencias: </div>`);
+		$filtersDiv.append("<span>Turno: </span>");
+		$filtersDiv.append(createCombo("time-shifts", services.utils.TIME_SHIFTS));
+		$filtersDiv.append("<span>Sede: </span>");
+		$filtersDiv.append(createCombo("branches", services.utils.BRANCHES));
+		$filtersDiv.hide();
+		$suggestionsDiv.append($filtersDiv);
+
+		let $table = $(markup.table).append("<tbody></tbody>");
+		$table.hide();
+		$suggestionsDiv.append($table);
+
+		let countValues = values => Object.entries(values.reduce((counts, value) => {
+			counts[value] = (counts[value] || 0) + 1;
+			return counts;
+		}, {})).sort((e1, e2) => e2[1] - e1[1]);
+
+		let renderSuggestions = function () {
+			let shift = $filtersDiv.find("select.time-shifts").val();
+			let branch = $filtersDiv.find("select.branches").val();
+			let suggestions = courses.map(course => {
+				let classSchedules = classesByCourseCode[course.courseCode];
+				if (!classSchedules) return {course: course, recentClasses: [], isFailed: true};
+				let newestYear = Math.max(...classSchedules.map(classSchedule => classSchedule.year));
+				let recentClasses = classSchedules
+					.filter(classSchedule => classSchedule.year > newestYear - RECENT_YEARS)
+					.filter(classSchedule => !shift || (classSchedule.schedules || []).some(schedule => schedule.shift === shift))
+					.filter(classSchedule => !branch || classSchedule.branch === branch);
+				return {course: course, recentClasses: recentClasses};
+			});
+			// The courses that have classes matching the preferences go first.
+			suggestions.sort((s1, s2) => !s1.recentClasses.length - !s2.recentClasses.length);
+
+			let trs = suggestions.map(suggestion => {
+				let course = suggestion.course;
+				let courseTd = `<td>[${course.courseCode}] ${course.courseName}${course.elective ? " (Electiva)" : ""}</td>`;
+				if (suggestion.isFailed) {
+					return `<tr>${courseTd}<td colspan="4">No se pudieron obtener los cursos.</td></tr>`;
+				}
+				if (!suggestion.recentClasses.length) {
+					return `<tr>${courseTd}<td colspan="4">No hay cursos ${shift || branch ? "con estas preferencias" : "registrados"}.</td></tr>`;
+				}
+				let periods = [...new Set(suggestion.recentClasses.map(classSchedule => `${classSchedule.year} ${classSchedule.quarter}`))];
+				let shifts = countValues(suggestion.recentClasses.flatMap(classSchedule => [...new Set((classSchedule.schedules || []).map(schedule => schedule.shift))]))
+					.map(entry => `${services.utils.TIME_SHIFTS[entry[0]]} (${entry[1]})`);
+				let branches = countValues(suggestion.recentClasses.filter(classSchedule => classSchedule.branch).map(classSchedule => classSchedule.branch))
+					.map(entry => `${services.utils.BRANCHES[entry[0]] || entry[0]} (${entry[1]})`);
+				let professors = suggestion.recentClasses
+					.flatMap(classSchedule => classSchedule.professors || [])
+					.filter(professor => professor.kind === "DOCENTE");
+				// The classes are sorted from newest to oldest, so we keep the latest data of each professor.
+				let professorsByName = {};
+				professors.forEach(professor => professorsByName[professor.name] = professorsByName[professor.name] || professor);
+				let professorLis = countValues(professors.map(professor => professor.name))
+					.slice(0, MAX_PROFESSORS)
+					.map(entry => services.utils.getProfessorLi(professorsByName[entry[0]]))
+					.join("");
+				return `<tr>
+					${courseTd}
+					<td>${periods.join(", ")}</td>
+					<td>${shifts.join(", ") || "-"}</td>
+					<td>${branches.join(", ") || "-"}</td>
+					<td><ul class="no-margin">${professorLis}</ul></td>
+				</tr>`;
+			}).join("");
+			$table.find("tbody").html(`<tr><th>Materia</th><th>Cuatrimestres</th><th>Turnos (cursos)</th><th>Sedes (cursos)</th><th>Profesores probables</th></tr>${trs}`);
+		};
+		$filtersDiv.find("select").on("change", function () {
+			renderSuggestions();
+		});
+
+		let $loadBtn = $(markup.button).text(`Ver cuándo y dónde se dieron las ${courses.length} materias que se pueden cursar`);
+		let $loadingDiv = $(`<div>Cargando...</div>`).hide();
+		let $staleDataWarningDiv = $(`<div></div>`);
+		/**
+		 * Requests the classes of the courses that don't have them yet, one course at a time so that the api doesn't get a
+		 * request per course at once. A course whose classes can't be retrieved is shown as failed, and retried on the next load.
+		 */
+		let loadClasses = function () {
+			let pendingCourses = courses.filter(course => !classesByCourseCode[course.courseCode]);
+			return pendingCourses.reduce((promise, course) => promise.then(() => {
+				return services.apiConnector.getClassesForCourse(course.courseCode, 0, CLASSES_LIMIT).then(classSchedules => {
+					classesByCourseCode[course.courseCode] = classSchedules;
+				}).catch(e => {
+					console.error(`Error while getting the classes of course ${course.courseCode}`, e);
+				});
+			}), Promise.resolve());
+		};
+		$loadBtn.on("click", function () {
+			$loadBtn.detach();
+			$loadingDiv.show();
+			loadClasses().then(() => {
+				let staleResponseTimes = Object.values(classesByCourseCode).map(classSchedules => services.apiConnector.getStaleResponseTime(classSchedules)).filter(time => time);
+				$staleDataWarningDiv.html(services.utils.getStaleDataWarning(staleResponseTimes.sort((t1, t2) => t1 - t2)[0]));
+				$filtersDiv.show();
+				$table.show();
+				renderSuggestions();
+				let failedCount = courses.filter(course => !classesByCourseCode[course.courseCode]).length;
+				if (failedCount) {
+					$loadBtn.text(`Reintentar las materias cuyos cursos no se pudieron obtener (${failedCount})`);
+					$loadingDiv.before($loadBtn);
+				}
+			}).catch(e => {
+				console.error("Error while showing the suggestions", e);
+				$loadingDiv.before($loadBtn);
+			}).finally(() => {
+				$loadingDiv.hide();
+			});
+			return false;
+		});
+		$filtersDiv.before($loadBtn, $loadingDiv, $staleDataWarningDiv);
+		return $suggestionsDiv;
+	};
+
+	/**
+	 * Board with the status of each course of the plan, to print it or download it as an image. The course boxes are mostly
+	 * white, with the status color on their side, so that they are readable in black and white along with the status symbol.
+	 * As in the plan table, only the electives that the student started are included.
+	 * @return {Promise<String>} the svg.
+	 */
+	let getStatusBoardSvg = function (planCode, planCourses) {
+		const NODE_WIDTH = 180;
+		const NODE_HEIGHT = 50;
+		const COLUMN_WIDTH = 195;
+		const ROW_HEIGHT = 58;
+		const LEGEND_ITEM_WIDTH = 160;
+		const MARGIN = 20;
+		const COURSES_TOP = MARGIN + 95;
+
+		return services.pagesDataParser.getStudentId().catch(() => "-").then(studentId => {
+			let courses = planCourses.filter(course => course.level !== 0 && (!course.elective || course.isPassed || course.isSigned || course.isPartiallyEquivalent));
+			let levels = [...new Set(courses.map(course => course.level))].sort((l1, l2) => l1 - l2);
+			let mandatoryCourses = courses.filter(course => !course.elective);
+			let passedCount = mandatoryCourses.filter(course => course.isPassed).length;
+
+			let legend = Object.values(COURSE_STATUSES).map((courseStatus, i) => {
+				let x = MARGIN + i * LEGEND_ITEM_WIDTH;
+				return `
+					<rect x="${x}" y="${MARGIN + 55}" width="14" height="14" fill="${courseStatus.color}" stroke="black"></rect>
+					<text x="${x + 20}" y="${MARGIN + 66}" font-size="12">${courseStatus.symbol} ${courseStatus.status || "No habilitada"}</text>`;
+			}).join("");
+
+			let maxRows = 0;
+			let columns = levels.map((level, column) => {
+				let x = MARGIN + column * COLUMN_WIDTH;
+				let levelCourses = courses
+					.filter(course => course.level === level)
+					.sort((c1, c2) => (c1.elective - c2.elective) || c1.courseCode.localeCompare(c2.courseCode));
+				maxRows = Math.max(maxRows, levelCourses.length);
+				let nodes = levelCourses.map((course, row) => {
+					let y = COURSES_TOP + 10 + row * ROW_HEIGHT;
+					let courseStatus = getCourseStatus(course);
+					let name = course.courseName.length > 28 ? course.courseName.substring(0, 27) + "…" : course.courseName;
+					return `
+						<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" fill="white" stroke="black"></rect>
+						<rect x="${x}" y="${y}" width="10" height="${NODE_HEIGHT}" fill="${courseStatus.color}" stroke="black"></rect>
+						<text x="${x + 16}" y="${y + 14}" font-size="11" font-weight="bold">${courseStatus.symbol} [${escapeXml(course.courseCode)}]${course.elective ? " Electiva" : ""}</text>
+						<text x="${x + 16}" y="${y + 29}" font-size="11">${escapeXml(name)}</text>
+						<text x="${x + 16}" y="${y + 43}" font-size="10" font-style="italic">${courseStatus.status || ""}</text>`;
+				}).join("");
+				return `<text x="${x + NODE_WIDTH / 2}" y="${COURSES_TOP}" text-anchor="middle" font-size="13" font-weight="bold">Nivel ${level}</text>${nodes}`;
+			}).join("");
+
+			let width = Math.max(2 * MARGIN + (levels.length - 1) * COLUMN_WIDTH + NODE_WIDTH, 2 * MARGIN + Object.keys(COURSE_STATUSES).length * LEGEND_ITEM_WIDTH);
+			let height = COURSES_TOP + 10 + maxRows * ROW_HEIGHT + MARGIN;
+			return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">
+				<rect width="100%" height="100%" fill="white"></rect>
+				<text x="${MARGIN}" y="${MARGIN + 16}" font-size="18" font-weight="bold">Plan ${escapeXml(planCode)} - Legajo ${escapeXml(studentId)}</text>
+				<text x="${MARGIN}" y="${MARGIN + 38}" font-size="13">Estado al ${new Date().toLocaleDateString("es-AR")}. Materias obligatorias aprobadas: ${passedCount} de ${mandatoryCourses.length}.</text>
+				${legend}
+				${columns}
+			</svg>`;
+		});
+	};
+
+	let printStatusBoard = function (planCode, planCourses) {
+		// Opened before anything async, as otherwise the browser blocks the popup.
+		let printWindow = window.open("", "_blank");
+		if (!printWindow) return Promise.reject("Couldn't open the print window, it may have been blocked");
+		return getStatusBoardSvg(planCode, planCourses).then(svg => {
+			printWindow.document.write(`<!DOCTYPE html>
+				<html>
+				<head>
+					<meta charset="utf-8">
+					<title>Plan ${escapeXml(planCode)}</title>
+					<style>
+						@page { size: landscape; margin: 10mm; }
+						body { margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+						svg { max-width: 100%; height: auto; }
+					</style>
+				</head>
+				<body>${svg}</body>
+				</html>`);
+			printWindow.document.close();
+			printWindow.focus();
+			printWindow.print();
+		}).catch(e => {
+			// Otherwise the user is left with an empty window.
+			printWindow.close();
+			throw e;
+		});
+	};
+
+	let downloadStatusBoardPng = function (planCode, planCourses) {
+		return getStatusBoardSvg(planCode, planCourses).then(svg => {
+			return new Promise((resolve, reject) => {
+				let image = new Image();
+				image.onload = () => resolve(image);
+				image.onerror = () => reject(`Couldn't load the status board of plan ${planCode} as an image`);
+				image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+			});
+		}).then(image => {
+			// Drawn at twice its size, so that it is still sharp when printed.
+			const SCALE = 2;
+			let canvas = document.createElement("canvas");
+			canvas.width = image.width * SCALE;
+			canvas.height = image.height * SCALE;
+			let context = canvas.getContext("2d");
+			context.scale(SCALE, SCALE);
+			context.drawImage(image, 0, 0);
+			return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+		}).then(blob => {
+			services.utils.downloadFile(`plan-${planCode}.png`, "image/png", blob);
+		});
+	};
+
+	// Public
+	return {
+		TRANSLATIONS: TRANSLATIONS,
+		getCourseStatus: getCourseStatus,
+		getProgressHtml: getProgressHtml,
+		getSimulationHtml: getSimulationHtml,
+		getDependencyGraphHtml: getDependencyGraphHtml,
+		createSuggestionsDiv: createSuggestionsDiv,
+		printStatusBoard: printStatusBoard,
+		downloadStatusBoardPng: downloadStatusBoardPng,
+	};
+};
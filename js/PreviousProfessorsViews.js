@@ -0,0 +1,51 @@
+let PreviousProfessorsViews = function (utils) {
+
+	/**
+	 * Builds the nested list shown in the "previous professors" column of a class.
+	 * @param classesByYear as returned by the api for one of our classes: year -> classCode (the one of that year) -> List of professors.
+	 * @return {string} the html of the list, most recent years first.
+	 */
+	let getPreviousProfessorsHtml = function (classesByYear) {
+		let content = "";
+		content += `<ul class="no-margin">`;
+		Object.entries(classesByYear)
+			.sort((a, b) => (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0))
+			.forEach(classesByYear => {
+				let year = classesByYear[0];
+				content += `<li>${year}<ul class="no-margin">`;
+				Object.entries(classesByYear[1])
+					.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+					.forEach(professorsByClass => {
+						let newClassCode = professorsByClass[0];
+						content += `<li>${newClassCode}<ul class="no-margin">`;
+						professorsByClass[1].forEach(professor => {
+							content += utils.getProfessorLi(professor);
+						});
+						content += `</ul></li>`;
+					});
+				content += `</ul></li>`;
+			});
+		content += `</ul>`;
+		return content;
+	};
+
+	/**
+	 * Fills the "previous professors" cells with the api response.
+	 * @param response map from classCode (the one we sent) -> year -> classCode (the new one) -> List of professors.
+	 * @param $tdsByClassCode the cells to fill, by our classCode.
+	 * @param wrap optional function to wrap the html of each cell with the site's own markup.
+	 */
+	let fillPreviousProfessorsTds = function (response, $tdsByClassCode, wrap = html => html) {
+		Object.entries(response).forEach(previousProfessorsByClassCode => {
+			let ownClassCode = previousProfessorsByClassCode[0];
+			let $td = $tdsByClassCode[ownClassCode];
+			$td.html(wrap(getPreviousProfessorsHtml(previousProfessorsByClassCode[1])));
+		});
+	};
+
+	// Public
+	return {
+		getPreviousProfessorsHtml: getPreviousProfessorsHtml,
+		fillPreviousProfessorsTds: fillPreviousProfessorsTds,
+	};
+};
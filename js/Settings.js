@@ -0,0 +1,77 @@
+/**
+ * Settings chosen by the user in the options page, stored in chrome.storage.sync so that they are shared between devices.
+ * Used by the content scripts, the background and the options page.
+ */
+let Settings = function () {
+
+	const DEFAULT_SETTINGS = {
+		// Nothing is sent until the user answers the consent prompt shown in the options page.
+		consentAnswered: false,
+		// Data kind (see Settings.DATA_KINDS) -> whether it can be sent to the Siga Helper api.
+		sendData: {
+			professorSurveys: true,
+			classSchedules: true,
+			userStats: true,
+			errorLogs: true,
+		},
+		// The Siga Helper api used, or null to use the default one. Allows using self hosted apis.
+		apiBaseUrl: null,
+	};
+
+	let getSettings = function () {
+		return new Promise(resolve => {
+			chrome.storage.sync.get(Settings.STORAGE_KEY, items => {
+				let settings = (!chrome.runtime.lastError && items[Settings.STORAGE_KEY]) || {};
+				resolve({
+					consentAnswered: settings.consentAnswered || DEFAULT_SETTINGS.consentAnswered,
+					sendData: Object.assign({}, DEFAULT_SETTINGS.sendData, settings.sendData),
+					apiBaseUrl: settings.apiBaseUrl || DEFAULT_SETTINGS.apiBaseUrl,
+				});
+			});
+		});
+	};
+
+	let saveSettings = function (settings) {
+		return new Promise((resolve, reject) => {
+			chrome.storage.sync.set({[Settings.STORAGE_KEY]: settings}, () => chrome.runtime.lastError ? reject(chrome.runtime.lastError.message) : resolve());
+		});
+	};
+
+	/**
+	 * @param dataKind one of Settings.DATA_KINDS.
+	 * @return {Promise<boolean>} whether the user allowed this kind of data to be sent.
+	 */
+	let isSendingEnabled = function (dataKind) {
+		return getSettings().then(settings => settings.consentAnswered && !!settings.sendData[dataKind]);
+	};
+
+	let getApiBaseUrl = function () {
+		return getSettings().then(settings => settings.apiBaseUrl || Settings.DEFAULT_API_BASE_URL);
+	};
+
+	/**
+	 * Content scripts cannot open the options page, so it is opened by the background.
+	 */
+	let openOptionsPage = function () {
+		chrome.runtime.sendMessage({type: "openOptionsPage"});
+	};
+
+	// Public
+	return {
+		getSettings: getSettings,
+		saveSettings: saveSettings,
+		isSendingEnabled: isSendingEnabled,
+		getApiBaseUrl: getApiBaseUrl,
+		openOptionsPage: openOptionsPage,
+	};
+};
+
+Settings.STORAGE_KEY = "Settings";
+Settings.DEFAULT_API_BASE_URL = "https://www.pablomatiasgomez.com.ar/sigahelper/v2";
+
+Settings.DATA_KINDS = {
+	PROFESSOR_SURVEYS: "professorSurveys",
+	CLASS_SCHEDULES: "classSchedules",
+	USER_STATS: "userStats",
+	ERROR_LOGS: "errorLogs",
+};
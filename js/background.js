@@ -1,16 +1,177 @@
-chrome.runtime.onMessage.addListener(function (requestInfo, sender, resolve) {
-	fetch(requestInfo.url, requestInfo).then(response => {
+/**
+ * The only requests that content scripts can make, by message type.
+ * GET requests take their query params from the message fields (queryParam -> message field), and POST requests send the message body.
+ */
+const API_REQUESTS = {
+	logMessage: {method: "POST", path: "/log"},
+	logUserStat: {method: "POST", path: "/user-stats"},
+	postClassSchedules: {method: "POST", path: "/class-schedules"},
+	postProfessorSurveys: {method: "POST", path: "/professor-surveys"},
+	postHashedStudentIdMigrations: {method: "POST", path: "/hashed-student-ids"},
+	getPreviousProfessors: {method: "POST", path: "/previous-professors"},
+	searchProfessors: {method: "GET", path: "/professors", queryParams: {q: "query"}},
+	getProfessorSurveysAggregate: {method: "GET", path: "/aggregated-professor-surveys", queryParams: {professorName: "professorName"}},
+	searchCourses: {method: "GET", path: "/courses", queryParams: {q: "query"}},
+	getPlanCourses: {method: "GET", path: "/courses", queryParams: {planCode: "planCode"}},
+	getPlanEquivalences: {method: "GET", path: "/plan-equivalences", queryParams: {planCode: "planCode"}},
+	getClassesSchedules: {method: "GET", path: "/class-schedules", queryParams: {courseCode: "courseCode", professorName: "professorName", offset: "offset", limit: "limit"}},
+};
+
+/**
+ * Thrown errors are sent back to the content script as {status, message}, status being 0 if the api couldn't be reached.
+ */
+let ApiError = function (status, message) {
+	this.status = status;
+	this.message = message;
+};
+
+let buildUrl = function (apiBaseUrl, apiRequest, message) {
+	let url = new URL(apiBaseUrl + apiRequest.path);
+	Object.entries(apiRequest.queryParams || {})
+		.filter(entry => message[entry[1]] !== undefined && message[entry[1]] !== null)
+		.forEach(entry => url.searchParams.set(entry[0], message[entry[1]]));
+	// Just in case, as this is the only thing that prevents this from being used as a proxy to any url.
+	if (!url.href.startsWith(apiBaseUrl + "/")) throw new ApiError(400, `Url not allowed: ${url.href}`);
+	return url.href;
+};
+
+let handleMessage = function (message) {
+	let apiRequest = API_REQUESTS[message && message.type];
+	if (!apiRequest) return Promise.reject(new ApiError(400, `Unknown message type: ${message && message.type}`));
+
+	let headers = {};
+	if (message.client) headers["X-Client"] = message.client;
+	if (apiRequest.method === "POST") headers["Content-type"] = "application/json; charset=utf-8";
+	return Promise.resolve().then(() => {
+		return settings.getApiBaseUrl();
+	}).then(apiBaseUrl => {
+		return fetch(buildUrl(apiBaseUrl, apiRequest, message), {
+			method: apiRequest.method,
+			headers: headers,
+			body: apiRequest.method === "POST" ? JSON.stringify(message.body) : undefined,
+		}).catch(e => {
+			throw new ApiError(0, `Couldn't reach the api: ${e}`);
+		});
+	}).then(response => {
 		if (response.ok) {
-			return response.json();
+			// Some endpoints (e.g. the POSTs) respond without a body.
+			return response.text().then(body => body ? JSON.parse(body) : null);
 		} else {
 			return response.text().then(body => {
-				throw response.status + " - " + body
+				throw new ApiError(response.status, body);
 			});
 		}
-	}).then(json => {
+	});
+};
+
+/**
+ * Checks that the api is up, and that it is a Siga Helper api.
+ * There is no specific endpoint for this, so a course search is used, as it is served by every Siga Helper api and its response is small.
+ * @param apiBaseUrl the api to check, or null to check the one that is configured.
+ * @return {Promise<{apiBaseUrl, isDefault, healthy, status}>}
+ */
+let checkApiHealth = function (apiBaseUrl) {
+	const HEALTH_CHECK_QUERY = "fisica";
+	return Promise.resolve().then(() => {
+		return apiBaseUrl || settings.getApiBaseUrl();
+	}).then(url => {
+		apiBaseUrl = url;
+		return Promise.resolve().then(() => {
+			return fetch(buildUrl(apiBaseUrl, API_REQUESTS.searchCourses, {query: HEALTH_CHECK_QUERY}));
+		}).catch(() => null);
+	}).then(response => {
+		if (!response || !response.ok) return {response: response, healthy: false};
+		return response.json().then(json => ({response: response, healthy: Array.isArray(json)}), () => ({response: response, healthy: false}));
+	}).then(result => {
+		return {
+			apiBaseUrl: apiBaseUrl,
+			isDefault: apiBaseUrl === Settings.DEFAULT_API_BASE_URL,
+			healthy: result.healthy,
+			status: result.response ? result.response.status : 0,
+		};
+	});
+};
+
+// The local storage quota is 5MB, and it is also used for the data that is pending to be sent, so the cache is kept well below it.
+const CACHE_MAX_BYTES = 2 * 1024 * 1024;
+const CACHE_CLEANUP_ALARM = "cacheCleanup";
+
+/**
+ * Removes the cached responses that are too old to be used, and then the oldest ones while the cache is bigger than its max size.
+ * Done here, periodically, so that the content scripts don't have to read the whole storage on each page load.
+ */
+let cleanUpCache = function () {
+	chrome.storage.local.get(null, items => {
+		let cacheBytes = 0;
+		let removedKeys = Object.entries(items || {})
+			.filter(entry => entry[0].startsWith(ApiConnector.CACHE_KEY_PREFIX))
+			.sort((entry1, entry2) => entry2[1].cachedAt - entry1[1].cachedAt)
+			.filter(entry => {
+				cacheBytes += entry[0].length + JSON.stringify(entry[1]).length;
+				return Date.now() - entry[1].cachedAt > ApiConnector.CACHE_MAX_AGE_MS || cacheBytes > CACHE_MAX_BYTES;
+			})
+			.map(entry => entry[0]);
+		if (removedKeys.length) chrome.storage.local.remove(removedKeys);
+	});
+};
+
+let scheduleCacheCleanup = function () {
+	chrome.alarms.create(CACHE_CLEANUP_ALARM, {delayInMinutes: 1, periodInMinutes: 60});
+};
+
+let settings = new Settings();
+
+// Responses cached from one api shouldn't be mixed with the ones of another api.
+chrome.storage.onChanged.addListener(function (changes, areaName) {
+	let settingsChange = areaName === "sync" && changes[Settings.STORAGE_KEY];
+	if (!settingsChange) return;
+	let getApiBaseUrl = value => (value && value.apiBaseUrl) || Settings.DEFAULT_API_BASE_URL;
+	if (getApiBaseUrl(settingsChange.oldValue) === getApiBaseUrl(settingsChange.newValue)) return;
+	chrome.storage.local.get(null, items => {
+		let cacheKeys = Object.keys(items || {}).filter(key => key.startsWith(ApiConnector.CACHE_KEY_PREFIX));
+		if (cacheKeys.length) chrome.storage.local.remove(cacheKeys);
+	});
+});
+
+// Alarms are kept while the browser is open, so they are created again when it starts.
+chrome.runtime.onStartup.addListener(scheduleCacheCleanup);
+chrome.alarms.onAlarm.addListener(function (alarm) {
+	if (alarm.name === CACHE_CLEANUP_ALARM) cleanUpCache();
+});
+
+// First run consent prompt, also shown to users that updated from a version that didn't ask for it.
+chrome.runtime.onInstalled.addListener(function () {
+	scheduleCacheCleanup();
+	settings.getSettings().then(currentSettings => {
+		if (!currentSettings.consentAnswered) chrome.runtime.openOptionsPage();
+	});
+});
+
+chrome.runtime.onMessage.addListener(function (message, sender, resolve) {
+	if (message && message.type === "openOptionsPage") {
+		chrome.runtime.openOptionsPage();
+		return false;
+	}
+	if (message && message.type === "sha256") {
+		// Content scripts can't use SubtleCrypto in pages that are not secure contexts (http), but the background page can.
+		crypto.subtle.digest("SHA-256", new TextEncoder().encode(message.value)).then(buffer => {
+			resolve({hash: Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, "0")).join("")});
+		}).catch(e => {
+			resolve({error: {status: 0, message: e.toString()}});
+		});
+		return true;
+	}
+	if (message && message.type === "checkApiHealth") {
+		// Only the options page can check an api that is not the configured one.
+		let isFromExtensionPage = !!sender.url && sender.url.startsWith(chrome.runtime.getURL(""));
+		checkApiHealth(isFromExtensionPage ? message.apiBaseUrl : null).then(resolve);
+		return true;
+	}
+	handleMessage(message).then(json => {
 		resolve(json);
 	}).catch(e => {
-		resolve({error: e});
+		let error = e instanceof ApiError ? e : new ApiError(0, e.toString());
+		resolve({error: {status: error.status, message: error.message}});
 	});
 	return true;
 });
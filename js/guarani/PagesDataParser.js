@@ -2,9 +2,24 @@ let PagesDataParser = function (utils, apiConnector) {
 
 	let trackError = function (error, methodName) {
 		console.error("Error at " + methodName, error);
+		// There is nothing to fix if the user has been logged out, so we don't log these errors.
+		if (error instanceof LoggedOutError) return Promise.resolve();
 		return apiConnector.logMessage(methodName, true, utils.stringifyError(error));
 	};
 
+	/**
+	 * When the session expires, guarani responds with the login page (or, for ajax requests, with the contents that redirect to it)
+	 * instead of the requested page or pdf, so we check if the response contains the login form.
+	 * Only the form is considered, as any other page may have a link to the login url. The quotes may be escaped, as the ajax
+	 * contents are inside a json.
+	 */
+	const LOGIN_FORM_REGEX = /<form[^>]*action=\\?["'][^"'\\]*\/autogestion\/grado\/acceso\/login/;
+	let checkLoggedOut = function (responseText, url) {
+		if (LOGIN_FORM_REGEX.test(responseText)) {
+			throw new LoggedOutError(`Couldn't fetch ${url} because the user has been logged out.`);
+		}
+	};
+
 	// We want to fetch only once each page.
 	let CACHED_PAGE_CONTENTS = {};
 	let fetchPageContents = function (url) {
@@ -12,8 +27,12 @@ let PagesDataParser = function (utils, apiConnector) {
 			return Promise.resolve(CACHED_PAGE_CONTENTS[url]);
 		}
 		return $.ajax(url).then(responseText => {
+			checkLoggedOut(responseText, url);
 			CACHED_PAGE_CONTENTS[url] = responseText;
 			return responseText;
+		}, jqXHR => {
+			if (jqXHR.status === 401) throw new LoggedOutError(`Couldn't fetch ${url} because the user has been logged out.`);
+			throw jqXHR;
 		});
 	};
 
@@ -38,6 +57,7 @@ let PagesDataParser = function (utils, apiConnector) {
 
 	/**
 	 * Fetches a url that returns a pdf and parses the content into an array of strings.
+	 * The pdf is downloaded before handing it to pdf.js, so that we can check that we didn't get the login page instead.
 	 * @param url url that returns a pdf.
 	 * @returns {Promise<string[]>}
 	 */
@@ -45,7 +65,20 @@ let PagesDataParser = function (utils, apiConnector) {
 		if (CACHED_PAGE_CONTENTS[url]) {
 			return Promise.resolve(CACHED_PAGE_CONTENTS[url]);
 		}
-		return pdfjsLib.getDocument(url).promise.then(pdf => {
+		return fetch(url, {credentials: "same-origin"}).then(response => {
+			if (response.status === 401) throw new LoggedOutError(`Couldn't fetch ${url} because the user has been logged out.`);
+			if (!response.ok) throw `Couldn't fetch pdf ${url}, status: ${response.status}`;
+			let contentType = response.headers.get("Content-Type") || "";
+			if (!contentType.includes("application/pdf")) {
+				return response.text().then(responseText => {
+					checkLoggedOut(responseText, url);
+					throw `Expected a pdf from ${url} but got ${contentType}: ${responseText}`;
+				});
+			}
+			return response.arrayBuffer();
+		}).then(data => {
+			return pdfjsLib.getDocument({data: data}).promise;
+		}).then(pdf => {
 			let promises = Array.from(Array(pdf.numPages).keys())
 				.map(i => pdf.getPage(i + 1)
 					.then(page => page.getTextContent())
@@ -58,6 +91,19 @@ let PagesDataParser = function (utils, apiConnector) {
 		});
 	};
 
+	/**
+	 * Parses the way guarani shows the period of a class, e.g.: "1er Cuat 2021", "2do Cuat 2021", "Anual 2021"
+	 * @returns {{year: number, quarter: string}|null} null if the given string couldn't be parsed.
+	 */
+	let parseYearAndQuarter = function (str) {
+		let groups = /^((1|2)(?:er|do) Cuat|Anual) (\d{4})$/.exec(str);
+		if (!groups) return null;
+		return {
+			year: parseInt(groups[3]),
+			quarter: (groups[1] === "Anual") ? "A" : (groups[2] + "C"), // A, 1C, 2C
+		};
+	};
+
 	/**
 	 * Tries to resolve and return the student id for the current logged in user.
 	 * @returns {Promise<String>}
@@ -77,6 +123,19 @@ let PagesDataParser = function (utils, apiConnector) {
 		});
 	};
 
+	const LOCAL_STORAGE_REPORTED_SCHEDULES_KEY = "UtnBaHelper.ReportedSchedules";
+	const MAX_REPORTED_SCHEDULES = 50;
+	/**
+	 * Classes whose schedules couldn't be parsed are still returned, without schedules. Each string is reported only once,
+	 * to know about new formats without logging them on every parse. Only the last ones are remembered, to keep the storage small.
+	 */
+	let reportUnparsedSchedules = function (schedulesStr) {
+		let reportedSchedules = JSON.parse(localStorage.getItem(LOCAL_STORAGE_REPORTED_SCHEDULES_KEY)) || [];
+		if (reportedSchedules.includes(schedulesStr)) return;
+		localStorage.setItem(LOCAL_STORAGE_REPORTED_SCHEDULES_KEY, JSON.stringify(reportedSchedules.concat(schedulesStr).slice(-MAX_REPORTED_SCHEDULES)));
+		trackError(`Schedules string couldn't be parsed: '${schedulesStr}'`, "getClassSchedules");
+	};
+
 	/**
 	 * Fetches, from the register pdf, the current classes that the student is having.
 	 * Used for different puprposes:
@@ -110,7 +169,6 @@ let PagesDataParser = function (utils, apiConnector) {
 			validateExpectedContents(["Código", "Actividad", "Período", "Comisión", "Ubicación", "Aula", "Horario"]);
 
 			let classSchedules = [];
-			const yearAndQuarterRegex = /^((1|2)(?:er|do) Cuat|Anual) (\d{4})$/;
 			// After all the class schedules rows, this is the following text so we know where to stop..
 			while (contents[i] !== "Firma y Sello Departamento") {
 				let courseCode = contents[i++];	// e.g.: 950701
@@ -119,30 +177,25 @@ let PagesDataParser = function (utils, apiConnector) {
 				let courseName = contents[i++]; // e.g.: Fisica I
 
 				let yearAndQuarter = contents[i++]; // e.g.: 1er Cuat 2021
-				groups = yearAndQuarterRegex.exec(yearAndQuarter);
-				if (!groups) {
+				let period = parseYearAndQuarter(yearAndQuarter);
+				if (!period) {
 					// Sometimes it can happen that the courseName was long enough that was split into two rows..
 					courseName = `${courseName} ${yearAndQuarter}`;
 					yearAndQuarter = contents[i++];
-					groups = yearAndQuarterRegex.exec(yearAndQuarter);
+					period = parseYearAndQuarter(yearAndQuarter);
 				}
-				if (!groups) throw `Class time couldn't be parsed: ${yearAndQuarter}. PdfContents: ${JSON.stringify(contents)}`;
-				let quarter = (groups[1] === "Anual") ? "A" : (groups[2] + "C"); // A, 1C, 2C
-				let year = parseInt(groups[3]);
+				if (!period) throw `Class time couldn't be parsed: ${yearAndQuarter}. PdfContents: ${JSON.stringify(contents)}`;
+				let quarter = period.quarter;
+				let year = period.year;
 
 				let classCode = contents[i++].toUpperCase(); // e.g.: Z1154
 
-				let branch = contents[i++].toUpperCase()
-					.replace(" ", "_")
-					.replace("CAMPUS_VIRTUAL", "AULA_VIRTUAL")
-					.replace("ESCUELA", "PIÑERO");	// e.g.: CAMPUS, MEDRANO, AULA_VIRTUAL, PIÑERO
-				if (branch === "SIN_DESIGNAR") branch = null;
+				let branch = utils.getBranchFromString(contents[i++]); // e.g.: CAMPUS, MEDRANO, AULA_VIRTUAL, PIÑERO
 
 				i++; // (ClassRoomnumber) e.g.: "Sin definir", "2"
 
 				let schedulesStr = contents[i++]; // e.g.: Lu(n)1:5 Mi(n)0:2
-				// Sundays is not a valid day, not sure why this is happening, but ignoring..
-				let schedules = ["Do(m)0:0", "Do(t)0:0", "Do(n)0:0", "Sin definir"].includes(schedulesStr) ? null : utils.getSchedulesFromString(schedulesStr);
+				let schedules = utils.getSchedulesFromString(schedulesStr, reportUnparsedSchedules);
 
 				classSchedules.push({
 					year: year,
@@ -178,8 +231,71 @@ let PagesDataParser = function (utils, apiConnector) {
 	};
 
 	/**
-	 * Parses all the student's academic history. Only includes approved courses, either signed or passed.
-	 * @returns {Promise<{courseCode: string, type: string, date: Date}[]>}
+	 * The propuestas (careers) that the student belongs to, as listed in the navbar selector that Guarani uses to change the
+	 * selected propuesta. The selector is only shown when the student has more than one of them.
+	 * Guarani shows every page for the selected propuesta only, so the other ones can only be used by following their link.
+	 * @returns {Array<{propuestaName: string, url: string, isSelected: boolean}>}
+	 */
+	let getStudentPropuestas = function () {
+		return $("#js-selector-propuestas li a").toArray()
+			.map(a => {
+				let $a = $(a);
+				return {
+					propuestaName: $a.text().trim(),
+					url: $a.attr("href"),
+					isSelected: $a.closest("li").hasClass("active"),
+				};
+			})
+			.filter(propuesta => !!propuesta.url && propuesta.url !== "#");
+	};
+
+	/**
+	 * Changes the selected propuesta the same way Guarani's navbar selector does, by requesting its link.
+	 * The cached pages belong to the previously selected propuesta, so they are discarded.
+	 * @param propuesta one of the propuestas returned by #getStudentPropuestas.
+	 * @returns {Promise}
+	 */
+	let selectPropuesta = function (propuesta) {
+		return $.ajax(propuesta.url).then(() => {
+			CACHED_PAGE_CONTENTS = {};
+		});
+	};
+
+	/**
+	 * The plans of the selected propuesta: the current one, and the previous ones in which the student has taken courses.
+	 * Guarani only shows the current plan (plan_estudio), so the previous ones are inferred from the academic history.
+	 * The first 2 digits of a course code identify the plan, e.g. 952021 is from K95 and 082021 from K08, so the code of a
+	 * previous plan is the current one with its year replaced.
+	 * The current plan is always the first one.
+	 * @returns {Promise<Array<{planCode: string, isCurrent: boolean}>>}
+	 */
+	let getStudentPlans = function () {
+		return Promise.all([
+			getStudentPlanCode(),
+			parseAcademicHistory(),
+		]).then(result => {
+			let currentPlanCode = result[0];
+			let planYear = (/\d{2}/.exec(currentPlanCode) || [])[0];
+			let previousPlanCodes = !planYear ? [] : [...new Set(result[1]
+				.filter(course => course.result === "APPROVED")
+				.map(course => course.courseCode.substring(0, 2))
+				.filter(year => year !== planYear))]
+				.sort()
+				.map(year => currentPlanCode.replace(planYear, year));
+			return [{planCode: currentPlanCode, isCurrent: true}]
+				.concat(previousPlanCodes.map(planCode => ({planCode: planCode, isCurrent: false})));
+		}).catch(e => {
+			trackError(e, "getStudentPlans");
+			throw e;
+		});
+	};
+
+	/**
+	 * Parses all the student's academic history, including the failed and absent grades.
+	 * - type: SIGNED for cursadas (regularidad, equivalencia parcial) or PASSED for finals (examen, promoción, equivalencia total).
+	 * - result: APPROVED, FAILED, ABSENT or IN_PROGRESS (for classes that are still being taken).
+	 * - grade and weightedGrade: the numeric grade, or null if the row does not have one (e.g. "Aprobado", "Ausente").
+	 * @returns {Promise<{courseCode: string, courseName: string, type: string, result: string, grade: number|null, weightedGrade: number|null, date: Date}[]>}
 	 */
 	let parseAcademicHistory = function () {
 		const typesMap = {
@@ -210,24 +326,37 @@ let PagesDataParser = function (utils, apiConnector) {
 					let groups = /\((\d{6})\)/.exec(courseText);
 					if (!groups) throw "courseText couldn't be parsed: " + courseText;
 					let courseCode = groups[1];
+					let courseName = courseText.replace(groups[0], "").trim();
 
 					let historyRow = $(item).find("span").text().trim();
 					groups = historyRowRegex.exec(historyRow);
 					if (!groups) throw `historyRow couldn't be parsed: ${historyRow}`;
 					let type = typesMap[groups[1]];
-					let grade = groups[2];
-					let isApprovedGrade = (grade.includes("Promocionado") || grade.includes("Aprobado")) && !grade.includes("No aprobad");
+					let gradeText = groups[2];
+					let result;
+					if (gradeText === "Inicio de dictado") {
+						result = "IN_PROGRESS";
+					} else if (gradeText.includes("Ausente")) {
+						result = "ABSENT";
+					} else if ((gradeText.includes("Promocionado") || gradeText.includes("Aprobado")) && !gradeText.includes("No aprobad")) {
+						result = "APPROVED";
+					} else {
+						result = "FAILED";
+					}
+					let numericGrade = /^(\d{1,2}) \(/.exec(gradeText);
+					let grade = numericGrade ? parseInt(numericGrade[1]) : null;
 					let date = utils.parseDate(groups[3]);
 
-					// Not considering non approved grades for now..
-					if (!isApprovedGrade) return null;
 					return {
 						courseCode: courseCode,
+						courseName: courseName,
 						type: type,
+						result: result,
+						grade: grade,
+						weightedGrade: grade !== null ? utils.getWeightedGrade(date, grade) : null,
 						date: date,
 					};
-				})
-				.filter(course => !!course);
+				});
 		});
 	};
 
@@ -256,6 +385,8 @@ let PagesDataParser = function (utils, apiConnector) {
 	 */
 	let getPassedCourses = function () {
 		return parseAcademicHistory().then(coursesHistory => {
+			// Not considering non approved grades here..
+			coursesHistory = coursesHistory.filter(course => course.result === "APPROVED");
 			// For signed courses we condier both passed and signed, and remove duplicates.
 			let signedCourses = [...new Set(coursesHistory.map(course => course.courseCode))];
 			let passedCourses = coursesHistory.filter(course => course.type === "PASSED").map(course => course.courseCode);
@@ -269,25 +400,170 @@ let PagesDataParser = function (utils, apiConnector) {
 		});
 	};
 
+	/**
+	 * Fetches the surveys that the user has to take or has taken, from the /autogestion/grado/encuestas_kolla page.
+	 * Each row of the surveys table corresponds to one professor of one class, for example:
+	 * | Encuesta | Actividad         | Comisión | Período       | Docente                                | Estado     |
+	 * | Docente  | Física I (950701) | Z1154    | 1er Cuat 2021 | [JEFE DE TP] GALLONI GUILLEN, ROLANDO | Respondida |
+	 * For each of them resolves the current professor name, class, course, quarter, etc.
+	 * @param onlyCompleted whether to include all surveys or only the completed ones.
+	 * @returns {Promise<Array<{}>>} an array of objects for each combination of professor and class
+	 */
+	let parseMetadataFromSurveyRows = function (onlyCompleted = false) {
+		return fetchAjaxPageContents("/autogestion/grado/encuestas_kolla", "lista_encuestas").then(responseText => {
+			return $(responseText).find("table").toArray().flatMap(table => {
+				let $table = $(table);
+				let headers = $table.find("thead th").toArray().map(th => $(th).text().trim());
+				let columnIndex = header => {
+					let index = headers.indexOf(header);
+					if (index === -1) throw `Couldn't find column ${header} in surveys table. Headers: ${JSON.stringify(headers)}`;
+					return index;
+				};
+				let surveyKindIndex = columnIndex("Encuesta");
+				let courseIndex = columnIndex("Actividad");
+				let classIndex = columnIndex("Comisión");
+				let periodIndex = columnIndex("Período");
+				let professorIndex = columnIndex("Docente");
+				let statusIndex = columnIndex("Estado");
+
+				return $table.find("tbody tr").toArray()
+					.map(tr => {
+						let $tds = $(tr).find("td");
+
+						let surveyKindText = $tds.eq(surveyKindIndex).text().trim(); // e.g.: Docente, Auxiliares
+						let groups = /^(docente|auxiliar)(?:es)?$/i.exec(surveyKindText);
+						if (!groups) throw `surveyKindText couldn't be parsed: ${surveyKindText}`;
+						let surveyKind = groups[1].toUpperCase(); // DOCENTE, AUXILIAR
+
+						let courseText = $tds.eq(courseIndex).text().trim(); // e.g.: Física I (950701)
+						groups = /\((\d{6})\)$/.exec(courseText);
+						if (!groups) throw `courseText couldn't be parsed: ${courseText}`;
+						let courseCode = groups[1];
+
+						let classCode = $tds.eq(classIndex).text().trim().toUpperCase(); // e.g.: Z1154
+
+						let periodText = $tds.eq(periodIndex).text().trim(); // e.g.: 1er Cuat 2021
+						let period = parseYearAndQuarter(periodText);
+						if (!period) throw `Survey period couldn't be parsed: ${periodText}`;
+
+						let professorText = $tds.eq(professorIndex).text().trim(); // e.g.: [JEFE DE TP] GALLONI GUILLEN, ROLANDO
+						groups = /^\[(.+)] (.+)$/.exec(professorText);
+						if (!groups) throw `professorText couldn't be parsed: ${professorText}`;
+						let professorRole = groups[1];
+						let professorName = groups[2];
+
+						let $statusTd = $tds.eq(statusIndex);
+						let isCompleted = $statusTd.text().trim().startsWith("Respondida");
+
+						return {
+							answersUrl: isCompleted ? $statusTd.find("a").attr("href") : null, // This is only used in the case of fetching the survey values...
+							isCompleted: isCompleted,
+
+							surveyKind: surveyKind,
+							year: period.year,
+							quarter: period.quarter,
+							classCode: classCode,
+							courseCode: courseCode,
+							professorName: professorName,
+							professorRole: professorRole
+						};
+					})
+					.filter(surveyMetadata => !onlyCompleted || surveyMetadata.isCompleted);
+			});
+		}).catch(e => {
+			trackError(e, "parseMetadataFromSurveyRows");
+			throw e;
+		});
+	};
+
 	/**
 	 * Fetches all the current surveys that the user has to take o has taken.
 	 * For each of them resolves the current professor name, class, course, quarter, etc.
 	 * @returns {Promise<*[]>} an array of class schedules for each combination of professor and class
 	 */
 	let getProfessorClassesFromSurveys = function () {
-		// TODO parse this information once we know where it is.
-		return Promise.resolve([]).catch(e => {
+		return parseMetadataFromSurveyRows(false).then(surveysMetadata => {
+			// We could eventually merge same class professors, but the backend still accepts this:
+			return surveysMetadata.map(surveyMetadata => {
+				return {
+					year: surveyMetadata.year,
+					quarter: surveyMetadata.quarter,
+					classCode: surveyMetadata.classCode,
+					courseCode: surveyMetadata.courseCode,
+					professors: [
+						{
+							name: surveyMetadata.professorName,
+							kind: surveyMetadata.surveyKind,
+							role: surveyMetadata.professorRole,
+						}
+					]
+				};
+			});
+		}).catch(e => {
 			trackError(e, "getProfessorClassesFromSurveys");
 			throw e;
 		});
 	};
 
 	/**
+	 * Fetches the answers of each completed survey. Each answered kolla form has, for each question, a block like:
+	 * <div class="pregunta"><div class="enunciado">...</div> radios with the options, or a textarea </div>
 	 * @returns {Promise<*[]>} an array of taken surveys
 	 */
 	let getTakenSurveys = function () {
-		// TODO parse this information once we know where it is.
-		return Promise.resolve([]).catch(e => {
+		let getAnswersFromSurvey = (answersUrl) => {
+			return fetchPageContents(answersUrl).then(responseText => {
+				return $(responseText).find(".pregunta")
+					.toArray()
+					.map(pregunta => {
+						let $pregunta = $(pregunta);
+						let question = $pregunta.find(".enunciado").text().trim();
+						let answer = {
+							question: question,
+						};
+
+						let $textarea = $pregunta.find("textarea");
+						if ($textarea.length) {
+							answer.type = "TEXT";
+							answer.value = $textarea.val().trim() || null;
+							return answer;
+						}
+
+						let $options = $pregunta.find("input[type='radio']");
+						if (!$options.length) return null;
+						let $selectedOption = $options.filter(":checked");
+						if (!$selectedOption.length) return null;
+
+						// The way to know if the field is PERCENTAGE is analyzing the options labels, same as in the siga.
+						let optionLabels = $pregunta.find("label").toArray().map(label => $(label).text().trim());
+						if (!optionLabels.some(label => label.endsWith("%"))) throw `Couldn't parse options: ${JSON.stringify(optionLabels)}`;
+						let selectedValue = parseInt($pregunta.find(`label[for='${$selectedOption.attr("id")}']`).text().trim());
+						answer.type = "PERCENTAGE";
+						answer.value = isNaN(selectedValue) ? null : selectedValue; // "No opina"
+						return answer;
+					})
+					.filter(answer => !!answer);
+			});
+		};
+
+		return parseMetadataFromSurveyRows(true).then(surveysMetadata => {
+			return Promise.all(surveysMetadata.map(surveyMetadata => {
+				if (!surveyMetadata.answersUrl) throw `Couldn't find answers url for survey: ${JSON.stringify(surveyMetadata)}`;
+				return getAnswersFromSurvey(surveyMetadata.answersUrl).then(answers => {
+					return {
+						surveyKind: surveyMetadata.surveyKind,
+						year: surveyMetadata.year,
+						quarter: surveyMetadata.quarter,
+						classCode: surveyMetadata.classCode,
+						courseCode: surveyMetadata.courseCode,
+						professorName: surveyMetadata.professorName,
+						professorRole: surveyMetadata.professorRole,
+
+						surveyFields: answers
+					};
+				});
+			}));
+		}).catch(e => {
 			trackError(e, "getTakenSurveys");
 			throw e;
 		});
@@ -300,8 +576,13 @@ let PagesDataParser = function (utils, apiConnector) {
 		getClassSchedules: getClassSchedules,
 
 		getStudentPlanCode: getStudentPlanCode,
+		getStudentPlans: getStudentPlans,
+		getStudentPropuestas: getStudentPropuestas,
+		selectPropuesta: selectPropuesta,
+		parseAcademicHistory: parseAcademicHistory,
 		getPassedCourses: getPassedCourses,
 
+		parseMetadataFromSurveyRows: parseMetadataFromSurveyRows,
 		getProfessorClassesFromSurveys: getProfessorClassesFromSurveys,
 		getTakenSurveys: getTakenSurveys,
 	};
@@ -1,5 +1,9 @@
 let Utils = function () {
 
+	// Schedules that guarani shows when the class does not have a defined schedule.
+	// Sundays is not a valid day, not sure why this is happening, but ignoring..
+	const UNDEFINED_SCHEDULES = ["Do(m)0:0", "Do(t)0:0", "Do(n)0:0", "Sin definir"];
+
 	const HOURS = {
 		m: {
 			0: {start: "7:45", end: "8:30"},
@@ -62,6 +66,8 @@ let Utils = function () {
 		10: 10
 	};
 
+	let freeTextScheduleParser = new FreeTextScheduleParser(HOURS);
+
 	let getWeightedGrade = function (date, grade) {
 		if (date < NEW_GRADES_REGULATION_DATE) {
 			return WEIGHTED_GRADES[grade];
@@ -82,13 +88,24 @@ let Utils = function () {
 		};
 	};
 
-	let getSchedulesFromString = function (str) {
+	/**
+	 * Parses schedules such as "Lu(n)1:5 Mi(n)0:2", or typed as free text (see {@link FreeTextScheduleParser}).
+	 * @param onUnparsed optional, called with the string if it couldn't be parsed, e.g. to report it.
+	 * @return {Array|null} the schedules, or null if the class does not have a defined schedule or the string couldn't be parsed,
+	 * so that the rest of the page can still be shown.
+	 */
+	let getSchedulesFromString = function (str, onUnparsed) {
 		if (!str) return [];
+		if (UNDEFINED_SCHEDULES.includes(str)) return null;
 		try {
 			return str.split(" ").filter(el => !!el).map(getScheduleFromString);
 		} catch (e) {
-			// Log the entire string if it couldn't be parsed:
-			throw `Schedules string couldn't be parsed: '${str}' because of: ${e}`;
+			let schedules = freeTextScheduleParser.getSchedulesFromFreeText(str);
+			if (!schedules) {
+				console.warn(`Schedules string couldn't be parsed: '${str}' because of: ${e}`);
+				if (onUnparsed) onUnparsed(str);
+			}
+			return schedules;
 		}
 	};
 
@@ -99,6 +116,45 @@ let Utils = function () {
 			.join(" y ");
 	};
 
+	/**
+	 * Maps the branch names that guarani shows to the ones we use, e.g.: CAMPUS, MEDRANO, AULA_VIRTUAL, PIÑERO
+	 * @returns {string|null} null if the class does not have a defined branch.
+	 */
+	let getBranchFromString = function (str) {
+		let branch = str.trim().toUpperCase()
+			.replace(" ", "_")
+			.replace("CAMPUS_VIRTUAL", "AULA_VIRTUAL")
+			.replace("ESCUELA", "PIÑERO");
+		if (branch === "SIN_DESIGNAR") return null;
+		return branch;
+	};
+
+	/**
+	 * Creates a color for the given code, that is always the same for the same code, and that has good luminance
+	 * so that the text on top of it can be read.
+	 */
+	let getRandomRGBByCode = function (code) {
+		// First we create a random rgb color from the code.
+		let arr = ((parseInt(code.toString().replace(/0/g, "2")) * 31)).toString().slice(-6);
+		let r = Math.floor(arr.slice(0, 2) / 100 * 255);
+		let g = Math.floor(arr.slice(2, 4) / 100 * 255);
+		let b = Math.floor(arr.slice(4, 6) / 100 * 255);
+
+		const maxIterations = 100;
+		let iterations = 0;
+		// Now we make it have good luminance
+		while (((0.2126 * r) + (0.7152 * g) + (0.0722 * b)) < 128) {
+			if (iterations++ > maxIterations) {
+				console.error(`Max iterations reached for code ${code} !!!`);
+				break; // Prevent any infinite loop.
+			}
+			r = Math.ceil(Math.min(255, (r + 1) * 1.1));
+			g = Math.ceil(Math.min(255, (g + 1) * 1.1));
+			b = Math.ceil(Math.min(255, (b + 1) * 1.1));
+		}
+		return "#" + r.toString(16).padStart(2, "0") + g.toString(16).padStart(2, "0") + b.toString(16).padStart(2, "0");
+	};
+
 	let trimCourseName = function (name) {
 		name = name.trim();
 		if (name.length > 20) {
@@ -114,6 +170,18 @@ let Utils = function () {
 		return new Date(dateParts[2], dateParts[1] - 1, dateParts[0]);
 	};
 
+	/**
+	 * Makes the browser download a file with the given contents.
+	 */
+	let downloadFile = function (fileName, mimeType, content) {
+		let url = URL.createObjectURL(new Blob([content], {type: mimeType}));
+		let $a = $("<a>", {href: url, download: fileName}).hide();
+		$("body").append($a);
+		$a[0].click();
+		$a.remove();
+		URL.revokeObjectURL(url);
+	};
+
 	let stringifyError = function (error) {
 		if (error instanceof Error) return error.toString() + "\n" + error.stack;
 		if (typeof error === 'object') return JSON.stringify(error);
@@ -146,6 +214,29 @@ let Utils = function () {
 		</li>`;
 	};
 
+	/**
+	 * Shows, only once, the notice for when the session has expired and the helper's information couldn't be loaded.
+	 */
+	let $loggedOutNotice = $();
+	let showLoggedOutNotice = function () {
+		if ($loggedOutNotice.length) return;
+		$loggedOutNotice = $(`
+			<div class="alert alert-error utnba-helper">
+				<b>UTN.BA Helper:</b> Tu sesión ha expirado, por lo que no se pudo cargar la información provista por la extensión.
+				<a class="no-ajax" href="/autogestion/grado">Volvé a iniciar sesión</a> para continuar.
+			</div>`);
+		$("#kernel_contenido").prepend($loggedOutNotice);
+	};
+
+	/**
+	 * @param staleResponseTime the time returned by {@link ApiConnector#getStaleResponseTime}.
+	 * @return the html of the warning to show along with data that may be out of date, or an empty string if it is up to date.
+	 */
+	let getStaleDataWarning = function (staleResponseTime) {
+		if (!staleResponseTime) return "";
+		return `<div class="stale-data-warning">Estos datos fueron guardados el ${staleResponseTime.toLocaleString("es-AR")} y pueden estar desactualizados.</div>`;
+	};
+
 	// Public
 	return {
 		HOURS: HOURS,
@@ -157,13 +248,20 @@ let Utils = function () {
 
 		getSchedulesFromString: getSchedulesFromString,
 		getTimeInfoStringFromSchedules: getTimeInfoStringFromSchedules,
+		getBranchFromString: getBranchFromString,
+
+		getRandomRGBByCode: getRandomRGBByCode,
 
 		trimCourseName: trimCourseName,
 		parseDate: parseDate,
 
+		downloadFile: downloadFile,
+
 		stringifyError: stringifyError,
 		getColorForAvg: getColorForAvg,
 		getOverallScoreSpan: getOverallScoreSpan,
 		getProfessorLi: getProfessorLi,
+		showLoggedOutNotice: showLoggedOutNotice,
+		getStaleDataWarning: getStaleDataWarning,
 	};
 };
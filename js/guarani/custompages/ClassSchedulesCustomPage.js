@@ -0,0 +1,121 @@
+let ClassSchedulesCustomPage = function ($container, services) {
+
+	let calendarExporter = new CalendarExporter(services.utils);
+
+	let $grid;
+	let $classesTable;
+
+	let createPage = function (classSchedules) {
+		let $exportBtn = $(`<a href="#" class="btn btn-info btn-small">Exportar a calendario</a>`);
+		$exportBtn.on("click", function () {
+			calendarExporter.downloadIcs(classSchedules);
+			return false;
+		});
+		$container.append($exportBtn);
+
+		$grid = $(`<table class="schedules-grid table table-bordered table-condensed"></table>`).append("<tbody></tbody>");
+		$container.append("<h3>Grilla semanal</h3>");
+		$container.append($grid);
+		$container.append("<hr>");
+
+		$classesTable = $(`<table class="table table-bordered table-condensed table-hover"></table>`).append("<tbody></tbody>");
+		$container.append("<h3>Cursadas</h3>");
+		$container.append($classesTable);
+	};
+
+	/**
+	 * The comprobante can include classes of the previous quarter, so we only keep the annual ones and the ones of the current quarter.
+	 * First quarter classes finish in July, so from August we consider the second quarter.
+	 */
+	let getCurrentClassSchedules = function (classSchedules) {
+		let year = new Date().getFullYear();
+		let quarter = (new Date().getMonth() + 1) < 8 ? "1C" : "2C";
+		let currentClassSchedules = classSchedules.filter(classSchedule => classSchedule.year === year && [quarter, "A"].includes(classSchedule.quarter));
+		// If we couldn't figure out which ones are the current ones, we just show all of them.
+		return currentClassSchedules.length ? currentClassSchedules : classSchedules;
+	};
+
+	/**
+	 * @return an object from: day -> shift -> hour -> classSchedule
+	 */
+	let getUsedHours = function (classSchedules) {
+		let usedHours = {};
+		classSchedules.forEach(classSchedule => {
+			(classSchedule.schedules || []).forEach(schedule => {
+				usedHours[schedule.day] = usedHours[schedule.day] || {};
+				usedHours[schedule.day][schedule.shift] = usedHours[schedule.day][schedule.shift] || {};
+				for (let hour = parseInt(schedule.firstHour); hour <= parseInt(schedule.lastHour); hour++) {
+					usedHours[schedule.day][schedule.shift][hour] = classSchedule;
+				}
+			});
+		});
+		return usedHours;
+	};
+
+	let loadGrid = function (classSchedules) {
+		let usedHours = getUsedHours(classSchedules);
+		let shifts = Object.keys(services.utils.HOURS);
+
+		let shiftsThs = shifts.map(shift => `<th colspan="${Object.keys(services.utils.HOURS[shift]).length}">${services.utils.TIME_SHIFTS[shift]}</th>`).join("");
+		let hoursThs = shifts.map(shift => Object.values(services.utils.HOURS[shift])
+			.map(hour => `<th class="hour">${hour.start}</th>`)
+			.join(""))
+			.join("");
+		let trs = Object.keys(services.utils.DAYS).map(day => {
+			let lastClassSchedule = null;
+			let tds = shifts.map(shift => Object.keys(services.utils.HOURS[shift]).map(hour => {
+				let classSchedule = usedHours[day] && usedHours[day][shift] ? usedHours[day][shift][hour] : null;
+				let color = "transparent";
+				let text = "&nbsp;";
+				if (classSchedule) {
+					color = services.utils.getRandomRGBByCode(classSchedule.courseCode);
+					if (lastClassSchedule !== classSchedule) text = services.utils.trimCourseName(classSchedule.courseName);
+				}
+				lastClassSchedule = classSchedule;
+				return `<td class="name-container" style="background-color: ${color};">${text}</td>`;
+			}).join("")).join("");
+			return `<tr><td>${services.utils.DAYS[day]}</td>${tds}</tr>`;
+		}).join("");
+
+		$grid.find("tbody").html(`
+			<tr><th></th>${shiftsThs}</tr>
+			<tr><th></th>${hoursThs}</tr>
+			${trs}
+		`);
+	};
+
+	let loadClassesTable = function (classSchedules) {
+		let trs = classSchedules.map(classSchedule => {
+			return `<tr>
+				<td><span class="color-box" style="background-color: ${services.utils.getRandomRGBByCode(classSchedule.courseCode)};"></span></td>
+				<td><a class="no-ajax" href="${CustomPages.getCourseResultsUrl(classSchedule.courseCode)}" target="_blank">[${classSchedule.courseCode}] ${classSchedule.courseName}</a></td>
+				<td>${classSchedule.year}</td>
+				<td>${classSchedule.quarter}</td>
+				<td>${classSchedule.classCode}</td>
+				<td>${services.utils.BRANCHES[classSchedule.branch] || classSchedule.branch || "-"}</td>
+				<td>${services.utils.getTimeInfoStringFromSchedules(classSchedule.schedules)}</td>
+			</tr>`;
+		}).join("");
+		$classesTable.find("tbody").html(`
+			<tr><th></th><th>Materia</th><th colspan="2">Cuatr.</th><th>Curso</th><th>Anexo</th><th>Horario</th></tr>
+			${trs}
+		`);
+	};
+
+	// Init
+	return Promise.resolve().then(() => {
+		return services.pagesDataParser.getClassSchedules();
+	}).then(classSchedules => {
+		if (!classSchedules.length) {
+			$container.append("<h3>No se encontraron cursadas actuales.</h3>");
+			return;
+		}
+		createPage(classSchedules);
+		let currentClassSchedules = getCurrentClassSchedules(classSchedules);
+		loadGrid(currentClassSchedules);
+		loadClassesTable(currentClassSchedules);
+	});
+};
+
+ClassSchedulesCustomPage.menuName = "Horarios de cursada";
+ClassSchedulesCustomPage.customParamKey = "";
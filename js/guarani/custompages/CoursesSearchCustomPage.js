@@ -1,9 +1,51 @@
 let CoursesSearchCustomPage = function ($container, services) {
 
+	const PAGE_SIZE = 15;
+	// As returned by the api: annual classes start along with the first quarter ones.
+	const QUARTERS_ORDER = ["1C", "A", "2C"];
+	// The classes are requested in bigger pages, as all of them are needed to filter and sort them.
+	const CLASSES_PAGE_SIZE = 100;
+	// So that a course with too many classes doesn't keep requesting pages, only the first ones are shown.
+	const CLASSES_MAX_PAGES = 20;
+	// Each facet has the values of a class that it can be filtered by, and how to show them.
+	// The facets, along with the year range and the sorting, are kept in the url next to the courseCode, so that results can be shared.
+	const FACETS = {
+		quarter: {name: "Cuatr.", getValues: classSchedule => [classSchedule.quarter], getLabel: value => value, order: QUARTERS_ORDER},
+		branch: {name: "Anexo", getValues: classSchedule => classSchedule.branch ? [classSchedule.branch] : [], getLabel: value => services.utils.BRANCHES[value] || value},
+		shift: {name: "Turno", getValues: classSchedule => (classSchedule.schedules || []).map(schedule => schedule.shift), getLabel: value => services.utils.TIME_SHIFTS[value], order: Object.keys(services.utils.TIME_SHIFTS)},
+		day: {name: "Día", getValues: classSchedule => (classSchedule.schedules || []).map(schedule => schedule.day), getLabel: value => services.utils.DAYS[value], order: Object.keys(services.utils.DAYS)},
+		professor: {name: "Profesor", getValues: classSchedule => (classSchedule.professors || []).map(professor => professor.name), getLabel: value => value},
+	};
+	const YEAR_FILTERS = ["yearFrom", "yearTo"];
+	const SORT_PARAM = "sort";
+	const ORDER_PARAM = "order";
+
+	let compareStrings = (s1, s2) => (s1 || "").localeCompare(s2 || "");
+	let getScheduleSortKey = function (classSchedule) {
+		let schedule = (classSchedule.schedules || [])[0];
+		if (!schedule) return "~"; // Classes without schedules go last.
+		return [Object.keys(services.utils.DAYS).indexOf(schedule.day), Object.keys(services.utils.TIME_SHIFTS).indexOf(schedule.shift), schedule.firstHour].join("");
+	};
+	const SORT_COLUMNS = {
+		period: {name: "Cuatr.", colspan: 2, compare: (c1, c2) => (c1.year - c2.year) || (QUARTERS_ORDER.indexOf(c1.quarter) - QUARTERS_ORDER.indexOf(c2.quarter))},
+		classCode: {name: "Curso", compare: (c1, c2) => compareStrings(c1.classCode, c2.classCode)},
+		branch: {name: "Anexo", compare: (c1, c2) => compareStrings(c1.branch, c2.branch)},
+		schedule: {name: "Horario", compare: (c1, c2) => compareStrings(getScheduleSortKey(c1), getScheduleSortKey(c2))},
+		professors: {name: "Profesores", compare: (c1, c2) => compareStrings(((c1.professors || [])[0] || {}).name, ((c2.professors || [])[0] || {}).name)},
+	};
+	const DEFAULT_SORT = {column: "period", descending: true};
+
 	let $searchDiv;
 	let $searchResultsDiv;
 	let $courseDataDiv;
 
+	// The selected course, all its classes, and how they are filtered and sorted.
+	let selectedCourseCode;
+	let classSchedules = [];
+	let filters = {};
+	let sort = DEFAULT_SORT;
+	let shownCount;
+
 	let createPage = function () {
 		$searchDiv = $("<div></div>");
 		$searchDiv.append(`<span class="bold">Buscar por nombre de materia: </span>`);
@@ -30,7 +72,13 @@ let CoursesSearchCustomPage = function ($container, services) {
 		let $searchResultsTable = $(`<table class="table table-bordered table-condensed table-hover"></table>`).append("<tbody></tbody>");
 		$searchResultsTable.on("click", "a", function () {
 			let courseCode = $(this).text();
-			retrieveClassesForCourse(courseCode, 0, 15);
+			// A different course starts without filters, as they may not apply to it.
+			filters = {};
+			sort = DEFAULT_SORT;
+			retrieveClassesForCourse(courseCode).catch(e => {
+				console.error("Error while retrieving the classes of course " + courseCode, e);
+				alert("No se pudieron obtener las cursadas de la materia. Intentá nuevamente más tarde.");
+			});
 			return false;
 		});
 		$searchResultsDiv.append($searchResultsTable);
@@ -40,7 +88,26 @@ let CoursesSearchCustomPage = function ($container, services) {
 		$courseDataDiv = $(`<div></div>`);
 		$courseDataDiv.hide();
 		$courseDataDiv.append("<h2>Resultados para :</h2>");
+		let $filtersDiv = $(`<div class="classes-filters"></div>`);
+		$filtersDiv.on("change", "select", function () {
+			filters[$(this).attr("data-filter")] = $(this).val();
+			updateUrl();
+			renderClasses();
+		});
+		$courseDataDiv.append($filtersDiv);
 		let $classesTable = $(`<table class="table table-bordered table-condensed table-hover"></table>`).append("<tbody></tbody>");
+		$classesTable.on("click", "th a", function () {
+			let column = $(this).attr("data-sort");
+			sort = {column: column, descending: sort.column === column && !sort.descending};
+			updateUrl();
+			renderClasses();
+			return false;
+		});
+		$classesTable.on("click", "a.show-more-classes", function () {
+			shownCount += PAGE_SIZE;
+			renderClasses(false);
+			return false;
+		});
 		$courseDataDiv.append($classesTable);
 		$courseDataDiv.append("<hr>");
 		$container.append($courseDataDiv);
@@ -56,50 +123,158 @@ let CoursesSearchCustomPage = function ($container, services) {
 				return `<tr><td>${item.value}</td><td><a href="#">${item.data}</a></td></tr>`;
 			}).join("");
 			$searchResultsDiv.show();
+			$searchResultsDiv.find(".stale-data-warning").remove();
+			$searchResultsDiv.find("table").before(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(results)));
 			$searchResultsDiv.find("table tbody")
 				.html(trs)
 				.prepend("<tr><th>Nombre</th><th>Codigo</th></tr>");
 		});
 	};
 
-	/** Used to add a separator between rows that change year and quarter */
-	let lastYear;
-	let lastQuarter;
+	/**
+	 * Requests all the classes of the course, page by page, up to {@link CLASSES_MAX_PAGES} pages.
+	 * @return {Promise<{classSchedules: Array, staleResponseTime: Date|null, isIncomplete: boolean}>} staleResponseTime being the
+	 * oldest of the pages, if any is stale, and isIncomplete whether there were more pages than the ones requested.
+	 */
+	let loadClassesForCourse = function (courseCode, offset = 0, loaded = {classSchedules: [], staleResponseTime: null, isIncomplete: false}) {
+		return services.apiConnector.getClassesForCourse(courseCode, offset, CLASSES_PAGE_SIZE).then(classSchedules => {
+			let staleResponseTime = services.apiConnector.getStaleResponseTime(classSchedules);
+			loaded = {
+				classSchedules: loaded.classSchedules.concat(classSchedules),
+				staleResponseTime: [loaded.staleResponseTime, staleResponseTime].filter(time => time).sort((t1, t2) => t1 - t2)[0] || null,
+				isIncomplete: classSchedules.length === CLASSES_PAGE_SIZE && offset + CLASSES_PAGE_SIZE >= CLASSES_MAX_PAGES * CLASSES_PAGE_SIZE,
+			};
+			if (classSchedules.length < CLASSES_PAGE_SIZE || loaded.isIncomplete) return loaded;
+			return loadClassesForCourse(courseCode, offset + CLASSES_PAGE_SIZE, loaded);
+		});
+	};
 
-	let retrieveClassesForCourse = function (courseCode, offset, limit) {
-		if (offset === 0) {
-			$courseDataDiv.show().get(0).scrollIntoView({behavior: "smooth"});
-			$courseDataDiv.hide();
-		}
-		return services.apiConnector.getClassesForCourse(courseCode, offset, limit).then(classSchedules => {
-			if (offset === 0) {
-				lastYear = lastQuarter = null;
-				$courseDataDiv.find("h2").text(`Resultados para ${courseCode}:`);
-				$courseDataDiv.show();
-				$courseDataDiv.find("table tbody")
-					.html(`
-					<tr><th colspan="2">Cuatr.</th><th>Curso</th><th>Anexo</th><th>Horario</th><th>Profesores</th></tr>
-					<tr><td colspan="6"><a href="#">Ver mas resultados...</a></td></tr>`);
-				$courseDataDiv.find("table tbody tr:last a").on("click", function () {
-					retrieveClassesForCourse(courseCode, offset += limit, limit);
-					return false;
-				});
-			}
-			if (classSchedules.length < limit) {
-				$courseDataDiv.find("table tbody tr:last").hide();
-			}
-			appendClassesToTable(classSchedules);
+	let retrieveClassesForCourse = function (courseCode) {
+		$courseDataDiv.show().get(0).scrollIntoView({behavior: "smooth"});
+		$courseDataDiv.hide();
+		return loadClassesForCourse(courseCode).then(loaded => {
+			selectedCourseCode = courseCode;
+			classSchedules = loaded.classSchedules;
+			$courseDataDiv.find("h2").text(`Resultados para ${courseCode}${loaded.isIncomplete ? ` (solo las primeras ${classSchedules.length} cursadas)` : ""}:`);
+			$courseDataDiv.show();
+			$courseDataDiv.find(".stale-data-warning").remove();
+			$courseDataDiv.find("table").before(services.utils.getStaleDataWarning(loaded.staleResponseTime));
+			updateUrl();
+			renderClasses();
 		});
 	};
 
-	let appendClassesToTable = function (classSchedules) {
-		let trs = classSchedules.map(classSchedule => {
+	/**
+	 * Keeps the course, filters and sorting in the url, without reloading the page.
+	 */
+	let updateUrl = function () {
+		let params = new URLSearchParams(window.location.search);
+		params.set(CoursesSearchCustomPage.customParamKey, selectedCourseCode);
+		YEAR_FILTERS.concat(Object.keys(FACETS)).forEach(key => filters[key] ? params.set(key, filters[key]) : params.delete(key));
+		let isDefaultSort = sort.column === DEFAULT_SORT.column && sort.descending === DEFAULT_SORT.descending;
+		isDefaultSort ? params.delete(SORT_PARAM) : params.set(SORT_PARAM, sort.column);
+		isDefaultSort ? params.delete(ORDER_PARAM) : params.set(ORDER_PARAM, sort.descending ? "desc" : "asc");
+		window.history.replaceState(null, "", `${window.location.pathname}?${params}`);
+	};
+
+	let readUrl = function () {
+		let params = new URLSearchParams(window.location.search);
+		filters = {};
+		YEAR_FILTERS.concat(Object.keys(FACETS)).filter(key => params.get(key)).forEach(key => filters[key] = params.get(key));
+		sort = SORT_COLUMNS[params.get(SORT_PARAM)] ? {column: params.get(SORT_PARAM), descending: params.get(ORDER_PARAM) === "desc"} : DEFAULT_SORT;
+		return params.get(CoursesSearchCustomPage.customParamKey);
+	};
+
+	/**
+	 * @param ignoredFilters the filters that are not applied, to count the classes of each of their values.
+	 */
+	let matchesFilters = function (classSchedule, ignoredFilters = []) {
+		return Object.entries(filters)
+			.filter(entry => entry[1] && !ignoredFilters.includes(entry[0]))
+			.every(entry => {
+				if (entry[0] === "yearFrom") return classSchedule.year >= parseInt(entry[1]);
+				if (entry[0] === "yearTo") return classSchedule.year <= parseInt(entry[1]);
+				return FACETS[entry[0]].getValues(classSchedule).includes(entry[1]);
+			});
+	};
+
+	/**
+	 * The options are created as elements, as their values may come from the url.
+	 */
+	let createSelect = function (filter, options) {
+		let $select = $(`<select></select>`).attr("data-filter", filter);
+		$select.append($("<option>").val("").text("- Todos -"));
+		options.forEach(option => $select.append($("<option>").val(option.value).text(option.label)));
+		$select.val(filters[filter] || "");
+		return $select;
+	};
+
+	/**
+	 * Each facet shows how many classes there are for each of its values, given the rest of the filters.
+	 */
+	let renderFilters = function () {
+		let years = [...new Set(classSchedules.filter(classSchedule => matchesFilters(classSchedule, YEAR_FILTERS)).map(classSchedule => classSchedule.year.toString()))]
+			.sort((y1, y2) => y2 - y1)
+			.map(year => ({value: year, label: year}));
+		let $filtersDiv = $courseDataDiv.find(".classes-filters").html(`<span class="bold">Filtros: </span>`);
+		$filtersDiv.append("<span>Desde: </span>", createSelect("yearFrom", years), "<span>Hasta: </span>", createSelect("yearTo", years));
+
+		Object.entries(FACETS).forEach(entry => {
+			let facet = entry[1];
+			let counts = {};
+			classSchedules
+				.filter(classSchedule => matchesFilters(classSchedule, [entry[0]]))
+				.forEach(classSchedule => new Set(facet.getValues(classSchedule)).forEach(value => counts[value] = (counts[value] || 0) + 1));
+			// The selected value is kept even if the course has no classes for it, e.g. if it comes from the url.
+			if (filters[entry[0]] && !counts[filters[entry[0]]]) counts[filters[entry[0]]] = 0;
+			let options = Object.keys(counts)
+				.sort((v1, v2) => facet.order ? facet.order.indexOf(v1) - facet.order.indexOf(v2) : compareStrings(facet.getLabel(v1), facet.getLabel(v2)))
+				.map(value => ({value: value, label: `${facet.getLabel(value) || value} (${counts[value]})`}));
+			$filtersDiv.append(`<span>${facet.name}: </span>`, createSelect(entry[0], options));
+		});
+	};
+
+	/**
+	 * @param resetShownCount whether to go back to showing only the first page, as the filters or sorting changed.
+	 */
+	let renderClasses = function (resetShownCount = true) {
+		if (resetShownCount) shownCount = PAGE_SIZE;
+		renderFilters();
+
+		let compare = SORT_COLUMNS[sort.column].compare;
+		let filteredClasses = classSchedules
+			.filter(classSchedule => matchesFilters(classSchedule))
+			.sort((c1, c2) => sort.descending ? compare(c2, c1) : compare(c1, c2));
+
+		let ths = Object.entries(SORT_COLUMNS).map(entry => {
+			let arrow = sort.column === entry[0] ? (sort.descending ? " ▼" : " ▲") : "";
+			return `<th colspan="${entry[1].colspan || 1}"><a href="#" data-sort="${entry[0]}">${entry[1].name}${arrow}</a></th>`;
+		}).join("");
+		let trs = getClassesTrs(filteredClasses.slice(0, shownCount));
+		let lastTr = filteredClasses.length > shownCount ?
+			`<tr><td colspan="6"><a href="#" class="show-more-classes">Ver mas resultados...</a></td></tr>` :
+			!filteredClasses.length ? `<tr><td colspan="6">No hay cursadas ${classSchedules.length ? "con estos filtros" : "registradas"}.</td></tr>` : "";
+		$courseDataDiv.find("table tbody").html(`
+			<tr><td colspan="6">${filteredClasses.length} de ${classSchedules.length} cursadas</td></tr>
+			<tr>${ths}</tr>
+			${trs}
+			${lastTr}`);
+	};
+
+	let getClassesTrs = function (classSchedules) {
+		// Separators between rows that change year and quarter, only if sorted by them.
+		let lastYear;
+		let lastQuarter;
+		return classSchedules.map(classSchedule => {
 			let professorLis = (classSchedule.professors || []).map(professor => {
 				return services.utils.getProfessorLi(professor);
 			}).join("");
-			let trClass = (lastYear && lastYear !== classSchedule.year) ? "top-border" : (lastQuarter && lastQuarter !== classSchedule.quarter) ? "top-border-without-first-cell" : "";
-			lastYear = classSchedule.year;
-			lastQuarter = classSchedule.quarter;
+			let trClass = "";
+			if (sort.column === "period") {
+				trClass = (lastYear && lastYear !== classSchedule.year) ? "top-border" : (lastQuarter && lastQuarter !== classSchedule.quarter) ? "top-border-without-first-cell" : "";
+				lastYear = classSchedule.year;
+				lastQuarter = classSchedule.quarter;
+			}
 			return `<tr class="${trClass}">
 					<td>${classSchedule.year}</td>
 					<td>${classSchedule.quarter}</td>
@@ -109,15 +284,14 @@ let CoursesSearchCustomPage = function ($container, services) {
 					<td><ul class="no-margin">${professorLis}</ul></td>
 				</tr>`;
 		}).join("");
-		$courseDataDiv.find("table tbody tr:last").before(trs);
 	};
 
 	// Init
 	return Promise.resolve().then(() => {
 		createPage();
-		let courseCode = new URLSearchParams(window.location.search).get(CoursesSearchCustomPage.customParamKey);
+		let courseCode = readUrl();
 		if (courseCode) {
-			return retrieveClassesForCourse(courseCode, 0, 15);
+			return retrieveClassesForCourse(courseCode);
 		}
 	});
 };
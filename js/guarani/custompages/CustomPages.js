@@ -5,6 +5,7 @@ let CustomPages = function (pagesDataParser, utils, apiConnector) {
 		CoursesSearchCustomPage,
 		ProfessorsSearchCustomPage,
 		PlanTrackingCustomPage,
+		ClassSchedulesCustomPage,
 	];
 
 	let $utnBaHelperCustomMenusContainer = $();
@@ -30,6 +31,18 @@ let CustomPages = function (pagesDataParser, utils, apiConnector) {
 		return selectedPageHandler;
 	};
 
+	/**
+	 * Shows which api the data comes from, given that it can be changed in the options page.
+	 */
+	let appendApiIndicator = function () {
+		let $apiIndicator = $(`<p class="api-indicator"></p>`);
+		$("#kernel_contenido .alert.info").append($apiIndicator);
+		return apiConnector.checkApiHealth().then(apiHealth => {
+			let apiStatus = apiHealth.healthy ? `<span class="api-up">en línea</span>` : `<span class="api-down">sin respuesta</span>`;
+			$apiIndicator.html(`Servidor ${apiHealth.isDefault ? "oficial" : "<b>personalizado</b>"}: ${apiHealth.apiBaseUrl} (${apiStatus})`);
+		});
+	};
+
 	let appendMenu = function () {
 		let selectedCustomPage = new URLSearchParams(window.location.search).get(CustomPages.CUSTOM_PAGE_QUERY_PARAM);
 		CUSTOM_PAGES.forEach(customPage => {
@@ -53,6 +66,9 @@ let CustomPages = function (pagesDataParser, utils, apiConnector) {
 						</div>
 					</div>
 				`);
+				appendApiIndicator().catch(e => {
+					console.error("Error while checking api health", e);
+				});
 				selectedPageHandler = () => customPage($("#kernel_contenido .main"), {
 					pagesDataParser,
 					utils,
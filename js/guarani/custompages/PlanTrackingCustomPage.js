@@ -1,56 +1,160 @@
 let PlanTrackingCustomPage = function ($container, services) {
 
-	const TRANSLATIONS = {
-		"SIGNED": "Firmada",
-		"PASSED": "Aprobada",
-		"REGISTER": "Cursar",
-		"TAKE_FINAL_EXAM": "Rendir final",
-	};
+	let planEquivalences = new PlanEquivalences(services.apiConnector);
+
+	let planTrackingViews = new PlanTrackingViews(services, {
+		progressDiv: `<div class="plan-progress"></div>`,
+		simulationDiv: `<div class="plan-simulation"></div>`,
+		suggestionsDiv: `<div class="plan-suggestions"><h4>¿Qué curso el próximo cuatrimestre?</h4></div>`,
+		select: `<select style="margin: 0 10px 0 5px;"></select>`,
+		table: `<table class="table table-bordered table-condensed"></table>`,
+		button: `<a href="#" class="btn btn-small"></a>`,
+	});
+	const TRANSLATIONS = planTrackingViews.TRANSLATIONS;
+
+	let academicHistoryExporter = new AcademicHistoryExporter(services.utils);
 
 	let $plan;
+	// Increased on each load, to ignore the results of a plan that is no longer selected.
+	let loadPlanRequestId = 0;
+
+	/**
+	 * Lists the plans of the selected propuesta, which can be loaded, and the other propuestas, which can only be seen after
+	 * changing the selected propuesta.
+	 */
+	let createPage = function (plans, propuestas) {
+		let selectedPropuesta = propuestas.find(propuesta => propuesta.isSelected);
+		let otherPropuestas = propuestas.filter(propuesta => !propuesta.isSelected);
+
+		let $planSelect = $(`<select style="margin: 0;"></select>`);
+		plans.forEach((plan, i) => $planSelect.append(`<option value="${i}">${selectedPropuesta ? selectedPropuesta.propuestaName + " - " : ""}${plan.planCode}${plan.isCurrent ? "" : " (plan anterior)"}</option>`));
+		otherPropuestas.forEach((propuesta, i) => $planSelect.append(`<option value="propuesta-${i}">${propuesta.propuestaName} (cambiar de propuesta)</option>`));
+		$planSelect.on("change", function () {
+			let value = $planSelect.val();
+			if (value.startsWith("propuesta-")) {
+				selectPropuesta(otherPropuestas[value.replace("propuesta-", "")]);
+			} else {
+				loadPlan(plans[value]);
+			}
+			return false;
+		});
+
+		$container.append($(`<div>Plan de estudios </div>`).append($planSelect));
+		let $simulationTxt = $(`<input type="text" placeholder="Ej: K23" style="width: 60px; margin: 0;" />`);
+		let $simulationBtn = $(`<a href="#" class="btn btn-small" style="margin-left: 5px;">Simular</a>`);
+		$simulationBtn.on("click", function () {
+			let planCode = $simulationTxt.val().trim().toUpperCase();
+			if (!/^[A-Z0-9]+$/.test(planCode)) return false;
+			loadPlan({planCode: planCode}, true);
+			return false;
+		});
+		$container.append($(`<div>Simular cambio al plan </div>`).append($simulationTxt).append($simulationBtn));
+		$container.append(createExportDiv());
+		$container.append("<hr>");
 
-	let createPage = function (planCode, passedCourses) {
 		$plan = $("<div></div>");
 		$container.append($plan);
-		loadPlan(planCode, passedCourses);
+		// The first one is the current plan, so we load it by default.
+		return loadPlan(plans[0]);
+	};
+
+	let createExportDiv = function () {
+		let $exportDiv = $(`<div>Descargar historia académica: </div>`);
+		["csv", "json"].forEach(format => {
+			let $exportBtn = $(`<a href="#" class="btn btn-small" style="margin-right: 5px;">${format.toUpperCase()}</a>`);
+			$exportBtn.on("click", function () {
+				services.pagesDataParser.parseAcademicHistory().then(coursesHistory => {
+					academicHistoryExporter.downloadAcademicHistory(coursesHistory, format);
+				}).catch(e => {
+					console.error("Error while downloading the academic history", e);
+					alert("No se pudo descargar la historia académica. Intentá nuevamente más tarde.");
+				});
+				return false;
+			});
+			$exportDiv.append($exportBtn);
+		});
+		return $exportDiv;
 	};
 
-	let loadPlan = function (planCode, passedCourses) {
-		if (!planCode) return;
-		return services.apiConnector.getPlanCourses(planCode).then(planCourses => {
-			return loadPlanCourses(planCode, planCourses, passedCourses);
+	/**
+	 * Guarani shows the academic history of the selected propuesta only, so in order to see another one it is selected and
+	 * the page is loaded again.
+	 */
+	let selectPropuesta = function (propuesta) {
+		loadPlanRequestId++;
+		$plan.html(`<p>Cambiando a la propuesta ${propuesta.propuestaName}...</p>`);
+		return services.pagesDataParser.selectPropuesta(propuesta).then(() => {
+			window.location.reload();
+		}).catch(e => {
+			console.error("Error while selecting propuesta " + propuesta.propuestaName, e);
+			$plan.html(`<p>No se pudo cambiar a la propuesta ${propuesta.propuestaName}. Intentá nuevamente más tarde.</p>`);
+		});
+	};
+
+	/**
+	 * Loads the given plan of the selected propuesta, along with the student's academic history.
+	 * @param isSimulation whether the plan is not the student's, to show how their courses would be recognized in it.
+	 */
+	let loadPlan = function (plan, isSimulation = false) {
+		if (!plan) return;
+		let requestId = ++loadPlanRequestId;
+		$plan.html("");
+		return Promise.all([
+			services.apiConnector.getPlanCourses(plan.planCode),
+			services.pagesDataParser.getPassedCourses(),
+			// The start year is only needed to estimate the remaining time, so the plan is still shown without it.
+			services.pagesDataParser.getStartYear().catch(e => {
+				console.error("Error while getting the start year", e);
+				return null;
+			}),
+		]).then(result => {
+			let planCourseCodes = result[0].map(course => course.courseCode);
+			return planEquivalences.mapPassedCourses(plan.planCode, result[1], planCourseCodes).then(mappedCourses => {
+				if (requestId !== loadPlanRequestId) return;
+				return loadPlanCourses(plan.planCode, result[0], result[1], result[2], mappedCourses, isSimulation);
+			});
+		}).catch(e => {
+			console.error("Error while loading plan " + plan.planCode, e);
+			if (requestId !== loadPlanRequestId) return;
+			$plan.html(`<p>No se pudo cargar el plan ${plan.planCode}. Intentá nuevamente más tarde.</p>`);
 		});
 	};
 
-	let loadPlanCourses = function (planCode, planCourses, passedCourses) {
+	let loadPlanCourses = function (planCode, planCourses, passedCourses, startYear, mappedCourses, isSimulation) {
+		if (!planCourses.length) {
+			$plan.html(`<p>No se encontró el plan ${planCode}.</p>`);
+			return;
+		}
+
 		let courseNamesByCode = planCourses.reduce(function (courseNamesByCode, course) {
 			courseNamesByCode[course.courseCode] = course.courseName;
 			return courseNamesByCode;
 		}, {});
 
-		let courseRequirementToArray = {
-			// We will always use the last 4 chars, removing the first 2 that identify the specific plan.
-			// This is done in order to connect passed courses that are transitive from a previous plan.
-			// For example, a student passed 952021 (K95), which is 082021 (K08) in the new plan.
-			"SIGNED": passedCourses.signed.map(courseCode => courseCode.substring(2)),
-			"PASSED": passedCourses.passed.map(courseCode => courseCode.substring(2)),
+		// The courses passed in previous plans are already mapped onto this plan's courses, see PlanEquivalences.
+		let mappedCoursesByRequirement = {
+			"SIGNED": mappedCourses.signed,
+			"PASSED": mappedCourses.passed,
 		};
-		let hasCourse = (requirement, courseCode) => courseRequirementToArray[requirement].indexOf(courseCode.substring(2)) !== -1;
+		let hasCourse = (requirement, courseCode) => !!mappedCoursesByRequirement[requirement][courseCode];
+
+		planCourses.forEach(course => {
+			let meetsDependencies = kind => course.dependencies
+				.filter(dependency => dependency.kind === kind)
+				.every(dependency => hasCourse(dependency.requirement, dependency.courseCode));
+			course.isSigned = hasCourse("SIGNED", course.courseCode);
+			course.isPassed = hasCourse("PASSED", course.courseCode);
+			course.canRegister = meetsDependencies("REGISTER");
+			course.canTakeFinalExam = meetsDependencies("TAKE_FINAL_EXAM");
+			course.isPartiallyEquivalent = !!mappedCourses.partial[course.courseCode];
+			course.isMatchedByCode = !!mappedCourses.matchedByCode[course.courseCode];
+		});
 
 		let getCoursesHtml = level => {
 			let lastWasElective = false;
 			let showExtraElectivesButtonAdded = false;
 			return planCourses.filter(course => {
 				return course.level === level;
-			}).map(course => {
-				let meetsDependencies = kind => course.dependencies
-					.filter(dependency => dependency.kind === kind)
-					.every(dependency => hasCourse(dependency.requirement, dependency.courseCode));
-				course.isSigned = hasCourse("SIGNED", course.courseCode);
-				course.isPassed = hasCourse("PASSED", course.courseCode);
-				course.canRegister = meetsDependencies("REGISTER");
-				course.canTakeFinalExam = meetsDependencies("TAKE_FINAL_EXAM");
-				return course;
 			}).sort((c1, c2) => {
 				let courseWeight = course => {
 					let w;
@@ -66,21 +170,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 				};
 				return courseWeight(c2) - courseWeight(c1);
 			}).map(course => {
-				let status;
-				let color = "#7e7e7e";
-				if (course.isPassed) {
-					status = TRANSLATIONS["PASSED"];
-					color = "#55bb55";
-				} else if (course.canTakeFinalExam) {
-					status = "Puede " + TRANSLATIONS["TAKE_FINAL_EXAM"].toLowerCase();
-					color = "#ffcc00";
-				} else if (course.isSigned) {
-					status = TRANSLATIONS["SIGNED"];
-					color = "#ffcc00";
-				} else if (course.canRegister) {
-					status = "Puede " + TRANSLATIONS["REGISTER"].toLowerCase();
-					color = "#5555bb";
-				}
+				let courseStatus = planTrackingViews.getCourseStatus(course);
 
 				let hr = "";
 				if (!lastWasElective && course.elective) {
@@ -110,7 +200,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 				return `
 					${hr}
 					${showExtraElectivesButton}
-					<div class="course level-${level} ${divClass}" style="background-color:${color};">
+					<div class="course level-${level} ${divClass}" style="background-color:${courseStatus.color};">
 						<a href="#" onclick="return false" style="float: right;">
 							<i class="icon-info-sign"></i>
 							<span class="dependency-tooltip">
@@ -121,7 +211,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 								${getDependenciesLines("TAKE_FINAL_EXAM")}
 							</span>
 						</a>
-						<div class="text-small">[${course.courseCode}] ${status ? " - " + status : ""}</div>
+						<div class="text-small">[${course.courseCode}] ${courseStatus.status ? " - " + courseStatus.status : ""}</div>
 						<div class="text-medium">${course.courseName}</div>
 					</div>`;
 			}).join("");
@@ -136,15 +226,51 @@ let PlanTrackingCustomPage = function ($container, services) {
 		let tds = levels.map(level => `<td>${getCoursesHtml(level)}</td>`).join("");
 		$plan.html(`
 			<h3>Plan ${planCode}</h3>
+			${isSimulation ? planTrackingViews.getSimulationHtml(planCode, planCourses, passedCourses, mappedCourses) : ""}
+			${planTrackingViews.getProgressHtml(planCourses, startYear)}
+			<a href="#" class="btn btn-small toggle-plan-graph">Ver grafo de correlativas</a>
+			<a href="#" class="btn btn-small print-plan">Imprimir</a>
+			<a href="#" class="btn btn-small download-plan-png">Descargar imagen (PNG)</a>
 			<table class="plan-tracking table table-bordered table-condensed table-hover">
 				<tbody>
 					<tr>${ths}</tr>
 					<tr>${tds}</tr>
 				</tbody>
 			</table>
+			${planTrackingViews.getDependencyGraphHtml(planCourses, hasCourse)}
 		`);
 
-		$plan.find("table").on("click", ".show-electives", function () {
+		$plan.find(".plan-simulation, .plan-progress").first().before(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(planCourses)));
+		if (mappedCourses.equivalencesUnavailable) {
+			$plan.find(".plan-simulation, .plan-progress").first().before(`<div class="stale-data-warning">No se pudieron obtener todas las equivalencias entre planes, por lo que algunas materias de otros planes solo se reconocen por los últimos 4 dígitos de su código.</div>`);
+		}
+
+		$plan.append(planTrackingViews.createSuggestionsDiv(planCourses));
+
+		$plan.find(".print-plan").on("click", function () {
+			planTrackingViews.printStatusBoard(planCode, planCourses).catch(e => {
+				console.error("Error while printing plan " + planCode, e);
+				alert("No se pudo imprimir el plan. Intentá nuevamente más tarde.");
+			});
+			return false;
+		});
+		$plan.find(".download-plan-png").on("click", function () {
+			planTrackingViews.downloadStatusBoardPng(planCode, planCourses).catch(e => {
+				console.error("Error while downloading the image of plan " + planCode, e);
+				alert("No se pudo descargar la imagen del plan. Intentá nuevamente más tarde.");
+			});
+			return false;
+		});
+
+		$plan.find(".toggle-plan-graph").on("click", function () {
+			let showGraph = $plan.find(".plan-graph").css("display") === "none";
+			$plan.find(".plan-graph").toggle(showGraph);
+			$plan.find("table.plan-tracking").toggle(!showGraph);
+			$(this).text(showGraph ? "Ver tabla del plan" : "Ver grafo de correlativas");
+			return false;
+		});
+
+		$plan.find("table.plan-tracking").on("click", ".show-electives", function () {
 			let level = $(this).attr("data-level");
 			$plan.find(`table .course.level-${level}`).removeClass("hidden");
 			$(this).remove();
@@ -154,14 +280,9 @@ let PlanTrackingCustomPage = function ($container, services) {
 
 	// Init
 	return Promise.resolve().then(() => {
-		return Promise.all([
-			services.pagesDataParser.getStudentPlanCode(),
-			services.pagesDataParser.getPassedCourses(),
-		]);
-	}).then(result => {
-		let planCode = result[0];
-		let passedCourses = result[1];
-		return createPage(planCode, passedCourses);
+		return services.pagesDataParser.getStudentPlans();
+	}).then(plans => {
+		return createPage(plans, services.pagesDataParser.getStudentPropuestas());
 	});
 };
 
@@ -70,6 +70,8 @@ let ProfessorsSearchCustomPage = function ($container, services) {
 				return `<tr><td><a href="#">${item.value}</a></td><td>${item.data}</td></tr>`;
 			}).join("");
 			$searchResultsDiv.show();
+			$searchResultsDiv.find(".stale-data-warning").remove();
+			$searchResultsDiv.find("table").before(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(results)));
 			$searchResultsDiv.find("table tbody")
 				.html(trs)
 				.prepend("<tr><th>Profesor</th><th>Cantidad de encuestas</th></tr>");
@@ -93,7 +95,7 @@ let ProfessorsSearchCustomPage = function ($container, services) {
 		$coursesResultDiv.hide();
 		// For now we are showing just the latest 20 classes.
 		return services.apiConnector.getClassesForProfessor(professorName, 0, 20).then(classSchedules => {
-			$coursesResultDiv.html("");
+			$coursesResultDiv.html(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(classSchedules)));
 			let trs = classSchedules.map(classSchedule => {
 				let professorLis = (classSchedule.professors || []).map(professor => {
 					return services.utils.getProfessorLi(professor);
@@ -125,7 +127,7 @@ let ProfessorsSearchCustomPage = function ($container, services) {
 	let retrieveSurveyResults = function (professorName) {
 		$surveyResultDiv.hide();
 		return services.apiConnector.getProfessorSurveysAggregate(professorName).then(response => {
-			$surveyResultDiv.html("");
+			$surveyResultDiv.html(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(response)));
 			Object.entries(response)
 				// Put DOCENTE before AUXILIAR
 				.sort((a, b) => (a[0] > b[0] ? -1 : 1))
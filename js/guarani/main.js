@@ -14,9 +14,10 @@
 	let handler = null;
 
 	let utils = new Utils();
-	let apiConnector = new ApiConnector("guarani");
+	let settings = new Settings();
+	let apiConnector = new ApiConnector("guarani", settings);
 	let pagesDataParser = new PagesDataParser(utils, apiConnector);
-	let dataCollector = new DataCollector(pagesDataParser, apiConnector);
+	let dataCollector = new DataCollector(pagesDataParser, apiConnector, settings, "UtnBaHelper.DataCollector");
 	let customPages = new CustomPages(pagesDataParser, utils, apiConnector);
 
 	customPages.appendMenu();
@@ -27,13 +28,16 @@
 	}
 
 	const PAGE_HANDLERS = {
-		// TODO
+		"/autogestion/grado/historia_academica": () => HistoriaAcademicaPage(pagesDataParser, dataCollector, utils),
+		"/autogestion/grado/cursada": () => InscripcionCursadasPage(utils, apiConnector),
 	};
 
-	handler = handler || PAGE_HANDLERS[window.location.pathname];
+	// Some pages are accessed both with and without the trailing slash.
+	handler = handler || PAGE_HANDLERS[window.location.pathname.replace(/\/$/, "")];
 
 	handler && handler().catch(e => {
 		console.error("Error when handling page " + window.location.pathname, e);
+		if (e instanceof LoggedOutError) return utils.showLoggedOutNotice();
 		return apiConnector.logMessage("Handle page " + window.location.pathname, true, utils.stringifyError(e));
 	});
 
@@ -45,11 +49,13 @@
 			</div>`);
 	}).catch(e => {
 		console.error("Error while adding studentId to header", e);
+		if (e instanceof LoggedOutError) return utils.showLoggedOutNotice();
 		return apiConnector.logMessage("addStudentIdToHeader", true, utils.stringifyError(e));
 	}).then(() => {
 		return dataCollector.collectBackgroundDataIfNeeded();
 	}).catch(e => {
 		console.error("Error while collecting background data", e);
+		if (e instanceof LoggedOutError) return utils.showLoggedOutNotice();
 		return apiConnector.logMessage("collectBackgroundDataIfNeeded", true, utils.stringifyError(e));
 	});
 
@@ -0,0 +1,109 @@
+let HistoriaAcademicaPage = function (pagesDataParser, dataCollector, utils) {
+
+	let passingGrades = [];
+	let failingGrades = [];
+
+	let pesoAcademico;
+	let passingGradesAverage; // Only passing grades are considered here
+	let allGradesAverage; // Includes the failing grades.
+
+	let $helperDiv = $(`<div class="utnba-helper"></div>`);
+	let $helperTable = $(`<table class="table table-bordered table-condensed"><tbody></tbody></table>`);
+	let $weightedGradesTable = $(`<table class="table table-bordered table-condensed table-hover"><tbody></tbody></table>`);
+
+	let getAvgFromArray = function (arr) {
+		if (!arr.length) return null;
+		let sum = arr.reduce((a, b) => a + b);
+		return Math.round(sum / arr.length * 100) / 100;
+	};
+
+	/**
+	 * Only finals (examen, promoción, equivalencia total) with a numeric grade are considered, same as in the siga's actas de finales.
+	 * Absent grades do not have a numeric grade, so they are not considered either.
+	 */
+	let processGrades = function (coursesHistory) {
+		let finals = coursesHistory
+			.filter(course => course.type === "PASSED" && course.grade !== null)
+			.sort((a, b) => a.date - b.date);
+
+		finals.forEach(course => {
+			let weightedGrade = course.weightedGrade;
+			if (course.result === "APPROVED") {
+				passingGrades.push(weightedGrade);
+			} else if (course.result === "FAILED") {
+				failingGrades.push(weightedGrade);
+			}
+			if (weightedGrade !== course.grade) {
+				$weightedGradesTable.find("tbody").append(`<tr>
+					<td>${course.date.toLocaleDateString("es-AR")}</td>
+					<td>[${course.courseCode}] ${course.courseName}</td>
+					<td>${course.grade}</td>
+					<td><b>${weightedGrade}</b></td>
+				</tr>`);
+			}
+		});
+
+		allGradesAverage = getAvgFromArray(passingGrades.concat(failingGrades));
+		passingGradesAverage = getAvgFromArray(passingGrades);
+	};
+
+	let appendAverages = function () {
+		let appendTableRow = (description, value) => $helperTable.find("tbody").append("<tr><td>" + description + "</td><td><b>" + (value !== null ? value : "n/a") + "</b></td></tr>");
+
+		appendTableRow("Cantidad de materias aprobadas", passingGrades.length);
+		appendTableRow("Cantidad de materias desaprobadas", failingGrades.length);
+		appendTableRow("Promedio con desaprobados", allGradesAverage);
+		appendTableRow("Promedio sin desaprobados", passingGradesAverage);
+	};
+
+	let setPesoAcademico = function (startYear) {
+		let yearsCount = (new Date().getFullYear() - startYear + 1);
+		pesoAcademico = 11 * passingGrades.length - 5 * yearsCount - 3 * failingGrades.length;
+
+		$helperTable.find(".peso-academico").remove();
+		$helperTable.find("tbody").prepend("<tr class='peso-academico'><td>Peso academico</td><td> <b>" + pesoAcademico + "</b> <small>(11*" + passingGrades.length + " - 5*" + yearsCount + " - 3*" + failingGrades.length + ")</small></td></tr>");
+	};
+
+	let logUserStat = function () {
+		return dataCollector.logUserStat(pesoAcademico, passingGradesAverage, allGradesAverage, passingGrades.length, failingGrades.length);
+	};
+
+	let appendHelperDiv = function () {
+		$helperDiv.append("<h3>Estadísticas de finales</h3>");
+		$helperDiv.append($helperTable);
+		if ($weightedGradesTable.find("tbody tr").length) {
+			$weightedGradesTable.find("tbody").prepend("<tr><th>Fecha</th><th>Materia</th><th>Nota</th><th>Nota ponderada *</th></tr>");
+			$helperDiv.append($weightedGradesTable);
+			$helperDiv.append("<div>* La nota ponderada es calculada por el UTN.BA Helper segun Ordenanza Nº 1549</div>");
+		}
+		$helperDiv.append("<span class='powered-by-utnba-helper'></span>");
+		$("#kernel_contenido").prepend($helperDiv);
+	};
+
+	let getStartYear = function (coursesHistory) {
+		return pagesDataParser.getStartYear().then(startYear => {
+			if (!startYear) {
+				startYear = coursesHistory
+					.map(course => course.date.getFullYear())
+					.sort()
+					[0] || new Date().getFullYear(); // Last fall back...
+			}
+			return startYear;
+		});
+	};
+
+	// Init
+	return Promise.resolve().then(() => {
+		return pagesDataParser.parseAcademicHistory();
+	}).then(coursesHistory => {
+		processGrades(coursesHistory);
+		appendAverages();
+		appendHelperDiv();
+
+		return getStartYear(coursesHistory);
+	}).then(startYear => {
+		return setPesoAcademico(startYear);
+	}).then(() => {
+		return logUserStat();
+	});
+};
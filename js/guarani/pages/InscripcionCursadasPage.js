@@ -0,0 +1,152 @@
+let InscripcionCursadasPage = function (utils, apiConnector) {
+
+	let year = new Date().getFullYear(); // We know that registering happens in the same year calendar. (March and July)
+	let quarters = (new Date().getMonth() + 1) < 5 ? ["A", "1C"] : ["2C"];
+	let previousProfessorsViews = new PreviousProfessorsViews(utils);
+
+	/**
+	 * Adds the filter combos, and binds them so that they filter rows when the selection changes.
+	 */
+	let addFilters = function ($table) {
+		let createCombo = function (clazz, map) {
+			let $select = $("<select class='" + clazz + "' style='margin: 0 10px 0 5px;'></select>");
+			$select.append("<option value=''>- Sin filtro -</option>");
+			Object.entries(map).forEach(entry => $select.append("<option value='" + entry[0] + "'>" + entry[1] + "</option>"));
+			return $select;
+		};
+		let $divFilters = $("<div class='utnba-helper' style='margin-bottom: 10px;'><div class='bold'>Filtros:</div></div>");
+		$divFilters.append("<span>Turno:</span>");
+		$divFilters.append(createCombo("time-shifts", utils.TIME_SHIFTS));
+		$divFilters.append("<span>Dia:</span>");
+		$divFilters.append(createCombo("days", utils.DAYS));
+		$divFilters.append("<span>Sede:</span>");
+		$divFilters.append(createCombo("branches", utils.BRANCHES));
+
+		$divFilters.find("select").on("change", function () {
+			let filterValues = {};
+			["time-shifts", "days", "branches"].forEach(filter => filterValues[filter] = $divFilters.find("select." + filter).val());
+			$table.find("tbody tr").show().each(function () {
+				for (let filter in filterValues) {
+					if (filterValues[filter] && (!$(this).attr(filter) || $(this).attr(filter).indexOf(filterValues[filter]) === -1)) {
+						$(this).hide();
+					}
+				}
+			});
+		});
+		$table.before($divFilters);
+	};
+
+	/**
+	 * Adds:
+	 * - the attributes used to filter them.
+	 * - the schedule detail.
+	 * - the column with the previous professor information.
+	 * @return the promise that handles the add of the previous professors.
+	 */
+	let addTimeInfoToRowsAndRequestForPreviousProfessors = function (courseCode, $table) {
+		let headers = $table.find("thead th").toArray().map(th => $(th).text().trim());
+		let columnIndex = header => {
+			let index = headers.indexOf(header);
+			if (index === -1) throw `Couldn't find column ${header} in comisiones table of course ${courseCode}. Headers: ${JSON.stringify(headers)}`;
+			return index;
+		};
+		let classIndex = columnIndex("Comisión");
+		let branchIndex = columnIndex("Ubicación");
+		let schedulesIndex = columnIndex("Horario");
+
+		let previousProfessorsRequest = {
+			year: year,
+			quarters: quarters,
+			courseCode: courseCode,
+			futureClassSchedules: {} // Map from classCode to branchWithSchedule
+		};
+		let $previousProfessorsTdByClassCode = {};
+		$table.find("tbody tr").each(function () {
+			let $tr = $(this);
+			let $tds = $tr.find("td");
+
+			let $schedulesTd = $tds.eq(schedulesIndex);
+			let classCode = $tds.eq(classIndex).text().trim().toUpperCase();
+			let branch = utils.getBranchFromString($tds.eq(branchIndex).text());
+			let schedules = utils.getSchedulesFromString($schedulesTd.text().trim());
+
+			if (!classCode) throw `Blank rows were found in course ${courseCode}. tableHtml: ${$table.html()}`;
+
+			$tr.attr("days", (schedules || []).map(schedule => schedule.day).join(","));
+			$tr.attr("time-shifts", (schedules || []).map(schedule => schedule.shift).join(","));
+			$tr.attr("branches", branch || "");
+			$schedulesTd.append("<br><b>" + utils.getTimeInfoStringFromSchedules(schedules) + "</b>");
+
+			// Handle previous professors request and cell:
+			if (previousProfessorsRequest.futureClassSchedules[classCode]) throw `Multiple classes in course ${courseCode} were found with the same code: ${classCode}. tableHtml: ${$table.html()}`;
+			previousProfessorsRequest.futureClassSchedules[classCode] = {
+				branch: branch,
+				schedules: schedules
+			};
+			$previousProfessorsTdByClassCode[classCode] = $(`<td></td>`);
+			$tr.append($previousProfessorsTdByClassCode[classCode]);
+		});
+
+		$table.find("thead tr").append(`
+			<th class="utnba-helper">
+				Profesores en años anteriores
+				<a href="#" onclick="return false">
+					<i class="icon-info-sign"></i>
+					<span class="dependency-tooltip" style="white-space: normal; width: 300px;">En base a datos colectados por el UTN.BA Helper, se intenta poder saber que profesor va a estar en cada cursada, basandonos en los profesores que estuvieron en cursadas anteriores. El matching se hace por horario y anexo, a menos que no este esa informacion, y entonces se hace por codigo de curso, pero en esos casos no se puede asegurar que sea tan correcto dado que cambian seguido (Un mismo codigo de curso, en años distintos, puede estar en distintos horarios y por ende con distintos profesores).</span>
+				</a>
+				<br><i>Sección provista por el UTN.BA Helper</i>
+			</th>`);
+
+		// Returns a map from classCode (the one we sent) -> year -> classCode (the new one) -> List of professors
+		return apiConnector.getPreviousProfessors(previousProfessorsRequest).then(response => {
+			previousProfessorsViews.fillPreviousProfessorsTds(response, $previousProfessorsTdByClassCode, html => `<div class="utnba-helper">${html}</div>`);
+		});
+	};
+
+	/**
+	 * The comisiones of a course are loaded through ajax once the student selects the course, so each table is handled only once.
+	 * The course is shown in the title above the table, e.g.: "Física I (950701)"
+	 * An attribute selector is used as, after selecting several courses, there can be more than one element with that id.
+	 */
+	let handleComisionesTables = function () {
+		let promises = $("[id='comisiones']").toArray()
+			.filter(comisiones => !$(comisiones).hasClass("utnba-helper-handled"))
+			.map(comisiones => {
+				let $comisiones = $(comisiones).addClass("utnba-helper-handled");
+				let courseText = $comisiones.find("h3").first().text();
+				let groups = /\((\d{6})\)/.exec(courseText);
+				if (!groups) throw `courseText couldn't be parsed: ${courseText}`;
+				let courseCode = groups[1];
+
+				let $table = $comisiones.find("table").first();
+				addFilters($table);
+				$table.after("<span class='powered-by-utnba-helper'></span>");
+				return addTimeInfoToRowsAndRequestForPreviousProfessors(courseCode, $table);
+			});
+		return Promise.all(promises);
+	};
+
+	let observeComisionesChanges = function () {
+		let observer = new MutationObserver(() => {
+			Promise.resolve().then(() => {
+				return handleComisionesTables();
+			}).catch(e => {
+				console.error("Error when handling comisiones", e);
+				if (e instanceof LoggedOutError) return utils.showLoggedOutNotice();
+				return apiConnector.logMessage("Handle comisiones " + window.location.pathname, true, utils.stringifyError(e));
+			});
+		});
+		let container = $("#kernel_contenido")[0];
+		if (!container) throw "Couldn't find the container to observe the comisiones changes";
+		observer.observe(container, {childList: true, subtree: true});
+	};
+
+	// Init
+	return Promise.resolve().then(() => {
+		// The tables that are already there are handled even if the changes can't be observed.
+		return Promise.all([
+			Promise.resolve().then(observeComisionesChanges),
+			handleComisionesTables(),
+		]);
+	});
+};
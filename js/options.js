@@ -0,0 +1,114 @@
+(function () {
+
+	const DATA_KIND_DESCRIPTIONS = {
+		[Settings.DATA_KINDS.PROFESSOR_SURVEYS]: "Encuestas docentes completadas, para mostrarlas en la sección de \"Buscar Docentes\".",
+		[Settings.DATA_KINDS.CLASS_SCHEDULES]: "Horarios y profesores de las cursadas, para mostrarlos en la sección de \"Buscar Cursos\" y al momento de inscribirse.",
+		[Settings.DATA_KINDS.USER_STATS]: "Estadísticas de notas (promedios y peso académico).",
+		[Settings.DATA_KINDS.ERROR_LOGS]: "Errores de la extensión, para poder corregirlos.",
+	};
+
+	let settings = new Settings();
+	let currentSettings;
+
+	let save = function () {
+		return settings.saveSettings(currentSettings).then(() => {
+			$("#saved-message").removeClass("hidden");
+		});
+	};
+
+	let render = function () {
+		$("#consent-prompt").toggleClass("hidden", currentSettings.consentAnswered);
+
+		let $sendDataSettings = $("#send-data-settings").html("");
+		Object.entries(DATA_KIND_DESCRIPTIONS).forEach(entry => {
+			let dataKind = entry[0];
+			let $checkbox = $(`<input type="checkbox">`)
+				.prop("checked", currentSettings.consentAnswered && currentSettings.sendData[dataKind])
+				.prop("disabled", !currentSettings.consentAnswered);
+			$checkbox.on("change", function () {
+				currentSettings.sendData[dataKind] = $checkbox.prop("checked");
+				save();
+			});
+			$sendDataSettings.append($(`<label></label>`).append($checkbox).append(` ${entry[1]}`));
+		});
+	};
+
+	let answerConsent = function (accepted) {
+		currentSettings.consentAnswered = true;
+		Object.keys(currentSettings.sendData).forEach(dataKind => currentSettings.sendData[dataKind] = accepted);
+		return save().then(() => {
+			render();
+		});
+	};
+
+	// ---- Api
+
+	/**
+	 * @return {string|null} the url without the trailing slash, or null if it is not a valid http url.
+	 */
+	let parseApiBaseUrl = function (str) {
+		try {
+			let url = new URL(str.trim());
+			if (!["http:", "https:"].includes(url.protocol) || url.search || url.hash) return null;
+			return url.href.replace(/\/+$/, "");
+		} catch (e) {
+			return null;
+		}
+	};
+
+	let checkApiHealth = function (apiBaseUrl) {
+		$("#api-health").text("Verificando servidor...");
+		return new Promise(resolve => {
+			chrome.runtime.sendMessage({type: "checkApiHealth", apiBaseUrl: apiBaseUrl}, resolve);
+		}).then(apiHealth => {
+			$("#api-health").html(apiHealth.healthy ?
+				`<span class="api-up">El servidor responde correctamente.</span>` :
+				`<span class="api-down">El servidor no responde${apiHealth.status ? ` (status ${apiHealth.status})` : ""}.</span>`);
+			return apiHealth;
+		});
+	};
+
+	/**
+	 * Other servers than the official one need the host permission so that the background can make requests to them.
+	 */
+	let requestHostPermission = function (apiBaseUrl) {
+		if (apiBaseUrl === Settings.DEFAULT_API_BASE_URL) return Promise.resolve(true);
+		return new Promise(resolve => {
+			chrome.permissions.request({origins: [new URL(apiBaseUrl).origin + "/*"]}, resolve);
+		});
+	};
+
+	let saveApiBaseUrl = function (apiBaseUrl) {
+		if (!apiBaseUrl) {
+			$("#api-health").html(`<span class="api-down">La url no es valida.</span>`);
+			return Promise.resolve();
+		}
+		// The permission has to be requested right after the click, so it is done before anything else.
+		return requestHostPermission(apiBaseUrl).then(granted => {
+			if (!granted) {
+				$("#api-health").html(`<span class="api-down">Es necesario dar permiso para acceder al servidor.</span>`);
+				return;
+			}
+			return checkApiHealth(apiBaseUrl).then(apiHealth => {
+				if (!apiHealth.healthy && !confirm("El servidor no responde correctamente. ¿Guardar de todos modos?")) return;
+				currentSettings.apiBaseUrl = apiBaseUrl === Settings.DEFAULT_API_BASE_URL ? null : apiBaseUrl;
+				$("#api-base-url").val(apiBaseUrl);
+				return save();
+			});
+		});
+	};
+
+	$("#api-base-url-save").on("click", () => saveApiBaseUrl(parseApiBaseUrl($("#api-base-url").val())));
+	$("#api-base-url-reset").on("click", () => saveApiBaseUrl(Settings.DEFAULT_API_BASE_URL));
+
+	$("#consent-accept").on("click", () => answerConsent(true));
+	$("#consent-reject").on("click", () => answerConsent(false));
+
+	settings.getSettings().then(loadedSettings => {
+		currentSettings = loadedSettings;
+		render();
+		$("#api-base-url").val(currentSettings.apiBaseUrl || Settings.DEFAULT_API_BASE_URL);
+		return checkApiHealth(null);
+	});
+
+})();
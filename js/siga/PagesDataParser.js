@@ -75,6 +75,79 @@ let PagesDataParser = function (utils, apiConnector) {
 		});
 	};
 
+	const LOCAL_STORAGE_REPORTED_HISTORY_TYPES_KEY = "SigaHelper.ReportedHistoryTypes";
+	let reportUnknownHistoryTypes = function (unknownTypes) {
+		if (!unknownTypes.length) return;
+		let reportedTypes = JSON.parse(localStorage.getItem(LOCAL_STORAGE_REPORTED_HISTORY_TYPES_KEY)) || [];
+		let newTypes = [...new Set(unknownTypes)].filter(type => !reportedTypes.includes(type));
+		if (!newTypes.length) return;
+		localStorage.setItem(LOCAL_STORAGE_REPORTED_HISTORY_TYPES_KEY, JSON.stringify(reportedTypes.concat(newTypes)));
+		trackError(`Ignored rows with unknown types: ${newTypes.join(", ")}`, "parseAcademicHistory");
+	};
+
+	/**
+	 * Parses all the student's academic history from the /alu/hist.do page, including the failed and absent grades.
+	 * Each row of the table is something like:
+	 * | Final | Aprob | 20/12/2019 | 950701 | Física I | 8 |
+	 * - type: SIGNED for cursadas or PASSED for finals.
+	 * - result: APPROVED, FAILED or ABSENT.
+	 * - grade and weightedGrade: the numeric grade, or null if the row does not have one.
+	 * Rows of other types are skipped, as they were before parsing the full history. Each unknown type is reported only once,
+	 * to know about it without logging it on every parse.
+	 * @return {Promise<Array<{date: Date|null, type: String, courseCode: String, courseName: String, grade: Number|null, weightedGrade: Number|null, result: String}>>}
+	 */
+	let parseAcademicHistory = function () {
+		const typesMap = {
+			"Cursada": "SIGNED",
+			"Final": "PASSED",
+		};
+		return getPageContents("/alu/hist.do").then(responseText => {
+			let unknownTypes = [];
+			let coursesHistory = $(responseText).find(".std-canvas table:first tbody tr:not(:first)")
+				.toArray()
+				.map(tr => {
+					let $tds = $(tr).find("td");
+					let typeStr = $tds.eq(0).text().trim();
+					let type = typesMap[typeStr];
+					if (!type) {
+						unknownTypes.push(typeStr);
+						return null;
+					}
+
+					let resultStr = $tds.eq(1).text().trim();
+					let result;
+					if (resultStr === "Aprob") {
+						result = "APPROVED";
+					} else if (resultStr === "Ausen") {
+						result = "ABSENT";
+					} else {
+						result = "FAILED";
+					}
+
+					let dateStr = $tds.eq(2).text().trim();
+					let date = /^\d{2}\/\d{2}\/\d{4}$/.test(dateStr) ? utils.parseDate(dateStr) : null;
+					let grade = parseInt($tds.eq(5).text().trim());
+					grade = isNaN(grade) ? null : grade;
+
+					return {
+						date: date,
+						type: type,
+						courseCode: $tds.eq(3).text().trim(),
+						courseName: $tds.eq(4).text().trim(),
+						grade: grade,
+						weightedGrade: (grade !== null && date) ? utils.getWeightedGrade(date, grade) : grade,
+						result: result,
+					};
+				})
+				.filter(course => !!course);
+			reportUnknownHistoryTypes(unknownTypes);
+			return coursesHistory;
+		}).catch(e => {
+			trackError(e, "parseAcademicHistory");
+			throw e;
+		});
+	};
+
 	/**
 	 * Gets all the courses that the student has taken, not including the failed ones.
 	 * The returned object contains the signed courses, which includes the ones that have also been passed.
@@ -82,14 +155,10 @@ let PagesDataParser = function (utils, apiConnector) {
 	 * @return {Promise<{signed: Array<String>, passed: Array<String>}>}
 	 */
 	let getPassedCourses = function () {
-		return getPageContents("/alu/hist.do").then(responseText => {
-			let filterByKind = kind => $(responseText).find(".std-canvas table:first tbody tr:not(:first)")
-				.toArray()
-				.filter(tr => $(tr).find("td:eq(0)").text().trim() === kind)
-				.filter(tr => $(tr).find("td:eq(1)").text().trim() === "Aprob")
-				.map(tr => $(tr).find("td:eq(3)").text().trim());
-			let passedCourses = filterByKind("Final");
-			let signedCourses = [...new Set([...passedCourses, ...filterByKind("Cursada")])];
+		return parseAcademicHistory().then(coursesHistory => {
+			let approvedCourses = coursesHistory.filter(course => course.result === "APPROVED");
+			let passedCourses = approvedCourses.filter(course => course.type === "PASSED").map(course => course.courseCode);
+			let signedCourses = [...new Set([...passedCourses, ...approvedCourses.map(course => course.courseCode)])];
 			return {
 				passed: passedCourses,
 				signed: signedCourses
@@ -100,6 +169,19 @@ let PagesDataParser = function (utils, apiConnector) {
 		});
 	};
 
+	const LOCAL_STORAGE_REPORTED_SCHEDULES_KEY = "SigaHelper.ReportedSchedules";
+	const MAX_REPORTED_SCHEDULES = 50;
+	/**
+	 * Classes whose schedules couldn't be parsed are still returned, without schedules. Each string is reported only once,
+	 * to know about new formats without logging them on every parse. Only the last ones are remembered, to keep the storage small.
+	 */
+	let reportUnparsedSchedules = function (schedulesStr) {
+		let reportedSchedules = JSON.parse(localStorage.getItem(LOCAL_STORAGE_REPORTED_SCHEDULES_KEY)) || [];
+		if (reportedSchedules.includes(schedulesStr)) return;
+		localStorage.setItem(LOCAL_STORAGE_REPORTED_SCHEDULES_KEY, JSON.stringify(reportedSchedules.concat(schedulesStr).slice(-MAX_REPORTED_SCHEDULES)));
+		trackError(`Schedules string couldn't be parsed: '${schedulesStr}'`, "getClassSchedules");
+	};
+
 	/**
 	 * Fetches the current classes that the student is having in order to know the schedules of them.
 	 * Also used to complete the grid when registering to new classes
@@ -132,7 +214,7 @@ let PagesDataParser = function (utils, apiConnector) {
 					let quarter = (groups[2] === "Anual" || groups[2] === "     1/1") ? "A" : (groups[3] + "C"); // A, 1C, 2C
 					let courseCode = $tds.eq(0).text().trim();
 					let branch = $tds.eq(3).text().trim().toUpperCase().replace(" ", "_"); // CAMPUS, MEDRANO, AULA_VIRTUAL
-					let schedules = utils.getSchedulesFromString(schedulesStr);
+					let schedules = utils.getSchedulesFromString(schedulesStr, reportUnparsedSchedules);
 
 					return {
 						year: year,
@@ -311,6 +393,7 @@ let PagesDataParser = function (utils, apiConnector) {
 		getStudentId: getStudentId,
 
 		getStudentPlans: getStudentPlans,
+		parseAcademicHistory: parseAcademicHistory,
 		getPassedCourses: getPassedCourses,
 
 		getClassSchedules: getClassSchedules,
@@ -1,13 +1,22 @@
 let PlanTrackingCustomPage = function ($container, services) {
 
-	const TRANSLATIONS = {
-		"SIGNED": "Firmada",
-		"PASSED": "Aprobada",
-		"REGISTER": "Cursar",
-		"TAKE_FINAL_EXAM": "Rendir final",
-	};
+	let planEquivalences = new PlanEquivalences(services.apiConnector);
+
+	let planTrackingViews = new PlanTrackingViews(services, {
+		progressDiv: `<div class="siga-helper-plan-progress"></div>`,
+		simulationDiv: `<div class="siga-helper-plan-simulation"></div>`,
+		suggestionsDiv: `<div class="siga-helper-plan-suggestions"><p>¿Qué curso el próximo cuatrimestre?</p></div>`,
+		select: `<select></select>`,
+		table: `<table></table>`,
+		button: `<a href="#"></a>`,
+	});
+	const TRANSLATIONS = planTrackingViews.TRANSLATIONS;
+
+	let academicHistoryExporter = new AcademicHistoryExporter(services.utils);
 
 	let $plan;
+	// Increased on each load, to ignore the results of a plan that is no longer selected.
+	let loadPlanRequestId = 0;
 
 	let createPage = function (planCodes, passedCourses) {
 		let $planSelect = $(`<select><option value="">Seleccionar plan</option></select>`);
@@ -18,48 +27,102 @@ let PlanTrackingCustomPage = function ($container, services) {
 		});
 
 		$container.append($(`<div>Plan de estudios </div>`).append($planSelect));
+		let $simulationTxt = $(`<input type="text" placeholder="Ej: K23" size="6" />`);
+		let $simulationBtn = $(`<a href="#" style="margin-left: 5px;">Simular</a>`);
+		$simulationBtn.on("click", function () {
+			let planCode = $simulationTxt.val().trim().toUpperCase();
+			if (!/^[A-Z0-9]+$/.test(planCode)) return false;
+			loadPlan(planCode, passedCourses, true);
+			return false;
+		});
+		$container.append($(`<div>Simular cambio al plan </div>`).append($simulationTxt).append($simulationBtn));
+		$container.append(createExportDiv());
 		$container.append("<hr>");
 
 		$plan = $("<div></div>");
 		$container.append($plan);
 	};
 
-	let loadPlan = function (planCode, passedCourses) {
+	let createExportDiv = function () {
+		let $exportDiv = $(`<div>Descargar historia académica: </div>`);
+		["csv", "json"].forEach(format => {
+			let $exportBtn = $(`<a href="#" style="margin-right: 5px;">${format.toUpperCase()}</a>`);
+			$exportBtn.on("click", function () {
+				services.pagesDataParser.parseAcademicHistory().then(coursesHistory => {
+					academicHistoryExporter.downloadAcademicHistory(coursesHistory, format);
+				}).catch(e => {
+					console.error("Error while downloading the academic history", e);
+					alert("No se pudo descargar la historia académica. Intentá nuevamente más tarde.");
+				});
+				return false;
+			});
+			$exportDiv.append($exportBtn);
+		});
+		return $exportDiv;
+	};
+
+	/**
+	 * @param isSimulation whether the plan is not the student's, to show how their courses would be recognized in it.
+	 */
+	let loadPlan = function (planCode, passedCourses, isSimulation = false) {
 		if (!planCode) return;
-		return services.apiConnector.getPlanCourses(planCode).then(planCourses => {
-			return loadPlanCourses(planCode, planCourses, passedCourses);
+		let requestId = ++loadPlanRequestId;
+		$plan.html("");
+		return Promise.all([
+			services.apiConnector.getPlanCourses(planCode),
+			// The start year is only needed to estimate the remaining time, so the plan is still shown without it.
+			services.pagesDataParser.getStartYear().catch(e => {
+				console.error("Error while getting the start year", e);
+				return null;
+			}),
+		]).then(result => {
+			let planCourseCodes = result[0].map(course => course.courseCode);
+			return planEquivalences.mapPassedCourses(planCode, passedCourses, planCourseCodes).then(mappedCourses => {
+				if (requestId !== loadPlanRequestId) return;
+				return loadPlanCourses(planCode, result[0], passedCourses, result[1], mappedCourses, isSimulation);
+			});
+		}).catch(e => {
+			console.error("Error while loading plan " + planCode, e);
+			if (requestId !== loadPlanRequestId) return;
+			$plan.html(`<p>No se pudo cargar el plan ${planCode}. Intentá nuevamente más tarde.</p>`);
 		});
 	};
 
-	let loadPlanCourses = function (planCode, planCourses, passedCourses) {
+	let loadPlanCourses = function (planCode, planCourses, passedCourses, startYear, mappedCourses, isSimulation) {
+		if (!planCourses.length) {
+			$plan.html(`<p>No se encontró el plan ${planCode}.</p>`);
+			return;
+		}
+
 		let courseNamesByCode = planCourses.reduce(function (courseNamesByCode, course) {
 			courseNamesByCode[course.courseCode] = course.courseName;
 			return courseNamesByCode;
 		}, {});
 
-		let courseRequirementToArray = {
-			// We will always use the last 4 chars, removing the first 2 that identify the specific plan.
-			// This is done in order to connect passed courses that are transitive from a previous plan.
-			// For example, a student passed 952021 (K95), which is 082021 (K08) in the new plan.
-			"SIGNED": passedCourses.signed.map(courseCode => courseCode.substring(2)),
-			"PASSED": passedCourses.passed.map(courseCode => courseCode.substring(2)),
+		// The courses passed in previous plans are already mapped onto this plan's courses, see PlanEquivalences.
+		let mappedCoursesByRequirement = {
+			"SIGNED": mappedCourses.signed,
+			"PASSED": mappedCourses.passed,
 		};
-		let hasCourse = (requirement, courseCode) => courseRequirementToArray[requirement].indexOf(courseCode.substring(2)) !== -1;
+		let hasCourse = (requirement, courseCode) => !!mappedCoursesByRequirement[requirement][courseCode];
+
+		planCourses.forEach(course => {
+			let meetsDependencies = kind => course.dependencies
+				.filter(dependency => dependency.kind === kind)
+				.every(dependency => hasCourse(dependency.requirement, dependency.courseCode));
+			course.isSigned = hasCourse("SIGNED", course.courseCode);
+			course.isPassed = hasCourse("PASSED", course.courseCode);
+			course.canRegister = meetsDependencies("REGISTER");
+			course.canTakeFinalExam = meetsDependencies("TAKE_FINAL_EXAM");
+			course.isPartiallyEquivalent = !!mappedCourses.partial[course.courseCode];
+			course.isMatchedByCode = !!mappedCourses.matchedByCode[course.courseCode];
+		});
 
 		let getCoursesHtml = level => {
 			let lastWasElective = false;
 			let showExtraElectivesButtonAdded = false;
 			return planCourses.filter(course => {
 				return course.level === level;
-			}).map(course => {
-				let meetsDependencies = kind => course.dependencies
-					.filter(dependency => dependency.kind === kind)
-					.every(dependency => hasCourse(dependency.requirement, dependency.courseCode));
-				course.isSigned = hasCourse("SIGNED", course.courseCode);
-				course.isPassed = hasCourse("PASSED", course.courseCode);
-				course.canRegister = meetsDependencies("REGISTER");
-				course.canTakeFinalExam = meetsDependencies("TAKE_FINAL_EXAM");
-				return course;
 			}).sort((c1, c2) => {
 				let courseWeight = course => {
 					let w;
@@ -75,21 +138,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 				};
 				return courseWeight(c2) - courseWeight(c1);
 			}).map(course => {
-				let status;
-				let color = "#7e7e7e";
-				if (course.isPassed) {
-					status = TRANSLATIONS["PASSED"];
-					color = "#55bb55";
-				} else if (course.canTakeFinalExam) {
-					status = "Puede " + TRANSLATIONS["TAKE_FINAL_EXAM"].toLowerCase();
-					color = "#ffcc00";
-				} else if (course.isSigned) {
-					status = TRANSLATIONS["SIGNED"];
-					color = "#ffcc00";
-				} else if (course.canRegister) {
-					status = "Puede " + TRANSLATIONS["REGISTER"].toLowerCase();
-					color = "#5555bb";
-				}
+				let courseStatus = planTrackingViews.getCourseStatus(course);
 
 				let hr = "";
 				if (!lastWasElective && course.elective) {
@@ -119,7 +168,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 				return `
 					${hr}
 					${showExtraElectivesButton}
-					<div class="course level-${level} ${divClass}" style="background-color:${color};">
+					<div class="course level-${level} ${divClass}" style="background-color:${courseStatus.color};">
 						<a href="" onclick="return false" style="float: right;">
 							<img src="/imag/help3.png" alt="" />
 							<span class="tooltip" style="text-shadow: none; white-space: nowrap;">
@@ -130,7 +179,7 @@ let PlanTrackingCustomPage = function ($container, services) {
 								${getDependenciesLines("TAKE_FINAL_EXAM")}
 							</span>
 						</a>
-						<div class="text-small">[${course.courseCode}] ${status ? " - " + status : ""}</div>
+						<div class="text-small">[${course.courseCode}] ${courseStatus.status ? " - " + courseStatus.status : ""}</div>
 						<div class="text-medium">${course.courseName}</div>
 					</div>`;
 			}).join("");
@@ -145,15 +194,51 @@ let PlanTrackingCustomPage = function ($container, services) {
 		let tds = levels.map(level => `<td>${getCoursesHtml(level)}</td>`).join("");
 		$plan.html(`
 			<p>Plan ${planCode}</p>
+			${isSimulation ? planTrackingViews.getSimulationHtml(planCode, planCourses, passedCourses, mappedCourses) : ""}
+			${planTrackingViews.getProgressHtml(planCourses, startYear)}
+			<a href="#" class="toggle-plan-graph">Ver grafo de correlativas</a>
+			<a href="#" class="print-plan" style="margin-left: 10px;">Imprimir</a>
+			<a href="#" class="download-plan-png" style="margin-left: 10px;">Descargar imagen (PNG)</a>
 			<table class="siga-helper-plan">
 				<tbody>
 					<tr>${ths}</tr>
 					<tr>${tds}</tr>
 				</tbody>
 			</table>
+			${planTrackingViews.getDependencyGraphHtml(planCourses, hasCourse)}
 		`);
 
-		$plan.find("table").on("click", ".show-electives", function () {
+		$plan.find(".siga-helper-plan-simulation, .siga-helper-plan-progress").first().before(services.utils.getStaleDataWarning(services.apiConnector.getStaleResponseTime(planCourses)));
+		if (mappedCourses.equivalencesUnavailable) {
+			$plan.find(".siga-helper-plan-simulation, .siga-helper-plan-progress").first().before(`<div class="stale-data-warning">No se pudieron obtener todas las equivalencias entre planes, por lo que algunas materias de otros planes solo se reconocen por los últimos 4 dígitos de su código.</div>`);
+		}
+
+		$plan.append(planTrackingViews.createSuggestionsDiv(planCourses));
+
+		$plan.find(".print-plan").on("click", function () {
+			planTrackingViews.printStatusBoard(planCode, planCourses).catch(e => {
+				console.error("Error while printing plan " + planCode, e);
+				alert("No se pudo imprimir el plan. Intentá nuevamente más tarde.");
+			});
+			return false;
+		});
+		$plan.find(".download-plan-png").on("click", function () {
+			planTrackingViews.downloadStatusBoardPng(planCode, planCourses).catch(e => {
+				console.error("Error while downloading the image of plan " + planCode, e);
+				alert("No se pudo descargar la imagen del plan. Intentá nuevamente más tarde.");
+			});
+			return false;
+		});
+
+		$plan.find(".toggle-plan-graph").on("click", function () {
+			let showGraph = $plan.find(".plan-graph").css("display") === "none";
+			$plan.find(".plan-graph").toggle(showGraph);
+			$plan.find("table.siga-helper-plan").toggle(!showGraph);
+			$(this).text(showGraph ? "Ver tabla del plan" : "Ver grafo de correlativas");
+			return false;
+		});
+
+		$plan.find("table.siga-helper-plan").on("click", ".show-electives", function () {
 			let level = $(this).attr("data-level");
 			$plan.find(`table .course.level-${level}`).removeClass("hidden");
 			$(this).remove();
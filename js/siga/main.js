@@ -12,9 +12,10 @@
 	let handler = null;
 
 	let utils = new Utils();
-	let apiConnector = new ApiConnector("siga");
+	let settings = new Settings();
+	let apiConnector = new ApiConnector("siga", settings);
 	let pagesDataParser = new PagesDataParser(utils, apiConnector);
-	let dataCollector = new DataCollector(pagesDataParser, apiConnector);
+	let dataCollector = new DataCollector(pagesDataParser, apiConnector, settings, "SigaHelper.DataCollector");
 	let customPages = new CustomPages(pagesDataParser, utils, apiConnector);
 
 	if (isInNormalPage) {
@@ -27,11 +28,11 @@
 	}
 
 	const PAGE_HANDLERS = {
-		"/alu/horarios.do": () => HorariosPage(utils),
+		"/alu/horarios.do": () => HorariosPage(pagesDataParser, utils),
 		"/alu/acfin.do": () => ActasDeFinalesPage(pagesDataParser, dataCollector, utils),
 		"/alu/preins.do": () => PreInscripcionPage(pagesDataParser, utils),
 		"/alu/preinscolas.do": () => PreInscripcionPopUpPage(utils, apiConnector),
-		"/alu/encdocpop.do": () => EncuestaDocentePopUpPage(dataCollector),
+		"/alu/encdocpop.do": () => EncuestaDocentePopUpPage(dataCollector, settings),
 	};
 
 	handler = handler || PAGE_HANDLERS[window.location.pathname];
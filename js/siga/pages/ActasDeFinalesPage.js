@@ -1,11 +1,14 @@
 let ActasDeFinalesPage = function (pagesDataParser, dataCollector, utils) {
 
+	const MIN_PASSING_GRADE = 6; // Segun ordenanza 1549
+
 	let passingGrades = [];
 	let failingGrades = [];
 
 	let pesoAcademico;
 	let passingGradesAverage; // Only passing grades are considered here
 	let allGradesAverage; // Includes the failing grades.
+	let yearsCount;
 
 	let $helperTable = $("<div style='display:inline-block;'><table><tbody></tbody></table></div>");
 
@@ -47,14 +50,88 @@ let ActasDeFinalesPage = function (pagesDataParser, dataCollector, utils) {
 	// ..
 
 	// .. Peso academico
+	let calculatePesoAcademico = function (passingGradesCount, failingGradesCount) {
+		return 11 * passingGradesCount - 5 * yearsCount - 3 * failingGradesCount;
+	};
+
 	let setPesoAcademico = function (startYear) {
-		let yearsCount = (new Date().getFullYear() - startYear + 1);
-		pesoAcademico = 11 * passingGrades.length - 5 * yearsCount - 3 * failingGrades.length;
+		yearsCount = (new Date().getFullYear() - startYear + 1);
+		pesoAcademico = calculatePesoAcademico(passingGrades.length, failingGrades.length);
 
 		$helperTable.find(".peso-academico").remove();
 		$helperTable.find("tbody").prepend("<tr class='peso-academico'><td>Peso academico</td><td> <b>" + pesoAcademico + "</b> <small>(11*" + passingGrades.length + " - 5*" + yearsCount + " - 3*" + failingGrades.length + ")</small></td></tr>");
 	};
 
+	// .. Grades simulator
+
+	/**
+	 * Lets the user enter hypothetical grades for the finals of the signed courses that are not passed yet,
+	 * and shows how the averages and the peso academico would change.
+	 * Grades lower than {@link MIN_PASSING_GRADE} are considered as failed finals.
+	 */
+	let appendGradesSimulator = function () {
+		return Promise.all([
+			pagesDataParser.getPassedCourses(),
+			pagesDataParser.parseAcademicHistory(),
+		]).then(results => {
+			let passedCourses = results[0];
+			let courseNames = {};
+			results[1].forEach(course => courseNames[course.courseCode] = course.courseName);
+			let pendingCourseCodes = passedCourses.signed.filter(courseCode => !passedCourses.passed.includes(courseCode));
+			if (!pendingCourseCodes.length) return;
+
+			let $simulator = $(`<div class="grades-simulator">
+				<p><b>Simulador de notas:</b> ingresando notas hipotéticas para los finales pendientes, se puede ver cómo cambiarían los promedios y el peso academico.</p>
+				<table class="grades-simulator-courses"><tbody><tr><th>Materia</th><th>Nota</th></tr></tbody></table>
+				<div class="grades-simulator-fill">Completar todas con <input type="number" min="1" max="10" step="1" value="7"> <a href="#">Aplicar</a></div>
+				<table class="grades-simulator-results"><tbody></tbody></table>
+			</div>`);
+			pendingCourseCodes.forEach(courseCode => {
+				$simulator.find(".grades-simulator-courses tbody").append(`<tr>
+					<td>[${courseCode}] ${courseNames[courseCode] || ""}</td>
+					<td><input type="number" min="1" max="10" step="1"></td>
+				</tr>`);
+			});
+
+			let $gradeInputs = $simulator.find(".grades-simulator-courses input");
+			let updateResults = function () {
+				let simulatedGrades = $gradeInputs.toArray()
+					.map(input => {
+						let grade = Number($(input).val());
+						let isValid = Number.isInteger(grade) && grade >= 1 && grade <= 10;
+						$(input).toggleClass("invalid-grade", !!$(input).val() && !isValid);
+						return isValid ? utils.getWeightedGrade(new Date(), grade) : null;
+					})
+					.filter(grade => grade !== null);
+				let simulatedPassingGrades = passingGrades.concat(simulatedGrades.filter(grade => grade >= MIN_PASSING_GRADE));
+				let simulatedFailingGrades = failingGrades.concat(simulatedGrades.filter(grade => grade < MIN_PASSING_GRADE));
+
+				let formatValue = value => value !== null ? value : "n/a";
+				let resultRow = (description, currentValue, simulatedValue) => `<tr>
+					<td>${description}</td>
+					<td>${formatValue(currentValue)}</td>
+					<td class="${currentValue !== simulatedValue ? "simulated-change" : ""}"><b>${formatValue(simulatedValue)}</b></td>
+				</tr>`;
+				$simulator.find(".grades-simulator-results tbody").html(`
+					<tr><th></th><th>Actual</th><th>Simulado</th></tr>
+					${resultRow("Peso academico", pesoAcademico, calculatePesoAcademico(simulatedPassingGrades.length, simulatedFailingGrades.length))}
+					${resultRow("Cantidad de materias aprobadas", passingGrades.length, simulatedPassingGrades.length)}
+					${resultRow("Cantidad de materias desaprobadas", failingGrades.length, simulatedFailingGrades.length)}
+					${resultRow("Promedio con desaprobados", allGradesAverage, getAvgFromArray(simulatedPassingGrades.concat(simulatedFailingGrades)))}
+					${resultRow("Promedio sin desaprobados", passingGradesAverage, getAvgFromArray(simulatedPassingGrades))}`);
+			};
+
+			$gradeInputs.on("input", updateResults);
+			$simulator.find(".grades-simulator-fill a").on("click", function () {
+				$gradeInputs.val($simulator.find(".grades-simulator-fill input").val());
+				updateResults();
+				return false;
+			});
+			updateResults();
+			$helperTable.after($simulator);
+		});
+	};
+
 	// ..
 	let logUserStat = function () {
 		return dataCollector.logUserStat(pesoAcademico, passingGradesAverage, allGradesAverage, passingGrades.length, failingGrades.length);
@@ -102,6 +179,13 @@ let ActasDeFinalesPage = function (pagesDataParser, dataCollector, utils) {
 	}).then(startYear => {
 		return setPesoAcademico(startYear);
 	}).then(() => {
-		return logUserStat();
+		return Promise.all([
+			// The simulator is optional, so if it fails the stat is still logged and the failure is not reported as one of the page.
+			appendGradesSimulator().catch(e => {
+				console.error("Error while appending the grades simulator", e);
+				$helperTable.after("<p>No se pudo cargar el simulador de notas. Intentá nuevamente más tarde.</p>");
+			}),
+			logUserStat(),
+		]);
 	});
 };
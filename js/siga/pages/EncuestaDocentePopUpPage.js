@@ -1,17 +1,27 @@
-let EncuestaDocentePopUpPage = function (dataCollector) {
+let EncuestaDocentePopUpPage = function (dataCollector, settings) {
 
-	let addPosText = function () {
-		$("#postexto").before(`
+	let addPosText = function (surveysSendingEnabled) {
+		let text = surveysSendingEnabled ?
+			`Al enviar las respuestas, estas seran tambien enviadas anonimamente al SIGA Helper para luego poder provistas en la sección de "Buscar profesores".` :
+			`Las respuestas no seran enviadas al SIGA Helper, dado que el envio de encuestas docentes esta desactivado.`;
+		let $posText = $(`
 			<div id="postexto">
 				<div>
 					<h3 style="text-align: center;">SIGA HELPER - Información importante</h3>
-					<p>Al enviar las respuestas, estas seran tambien enviadas anonimamente al SIGA Helper para luego poder provistas en la sección de "Buscar profesores".</p>
+					<p>${text} Esto se puede cambiar desde la <a href="#" class="siga-helper-options">configuración de privacidad</a>.</p>
 				</div>
 			</div>`);
+		$posText.find(".siga-helper-options").on("click", function () {
+			settings.openOptionsPage();
+			return false;
+		});
+		$("#postexto").before($posText);
 	};
 
 	return Promise.resolve().then(() => {
-		addPosText();
+		return settings.isSendingEnabled(Settings.DATA_KINDS.PROFESSOR_SURVEYS);
+	}).then(surveysSendingEnabled => {
+		addPosText(surveysSendingEnabled);
 	}).then(() => {
 		// Mark the surveys to be collected any time the user enters to fill/change any of them.
 		return dataCollector.markSurveysToBeCollected();
@@ -1,4 +1,6 @@
-let HorariosPage = function (utils) {
+let HorariosPage = function (pagesDataParser, utils) {
+
+	let calendarExporter = new CalendarExporter(utils);
 
 	let rgb2hex = function (rgb) {
 		if (/^#[0-9A-F]{6}$/i.test(rgb)) return rgb;
@@ -50,10 +52,25 @@ let HorariosPage = function (utils) {
 		$(".std-canvas table").parent().css("display", "inline-block").append("<span class='powered-by-siga-helper'></span>");
 	};
 
+	let addExportToCalendarButton = function () {
+		let $exportBtn = $(`<a href="#">Exportar a calendario</a>`);
+		$exportBtn.on("click", function () {
+			pagesDataParser.getClassSchedules().then(classSchedules => {
+				calendarExporter.downloadIcs(classSchedules);
+			}).catch(e => {
+				console.error("Error while exporting classes to calendar", e);
+				alert("No se pudieron obtener las cursadas para exportarlas. Intentá nuevamente más tarde.");
+			});
+			return false;
+		});
+		$(".std-canvas table:first").before($("<div style='margin-bottom: 10px;'>").append($exportBtn));
+	};
+
 	// Init
 	return Promise.resolve().then(() => {
 		addTimeInfo();
 		setClassNamesInTable();
+		addExportToCalendarButton();
 		addPoweredBy();
 	});
 };
@@ -84,7 +84,7 @@ let PreInscripcionPage = function (pagesDataParser, utils) {
 			courseCode: courseCode,
 			courseName: courseName
 		};
-		schedules.forEach(schedule => {
+		(schedules || []).forEach(schedule => {
 			let firstHour = parseInt(schedule.firstHour) + (getShiftIndex(schedule.shift) * 7);
 			let lastHour = parseInt(schedule.lastHour) + (getShiftIndex(schedule.shift) * 7);
 
@@ -100,66 +100,238 @@ let PreInscripcionPage = function (pagesDataParser, utils) {
 		});
 	};
 
-	let getRandomRGBByCode = function (code) {
-		// First we create a random rgb color from the code.
-		let arr = ((parseInt(code.toString().replace(/0/g, "2")) * 31)).toString().slice(-6);
-		let r = Math.floor(arr.slice(0, 2) / 100 * 255);
-		let g = Math.floor(arr.slice(2, 4) / 100 * 255);
-		let b = Math.floor(arr.slice(4, 6) / 100 * 255);
-
-		const maxIterations = 100;
-		let iterations = 0;
-		// Now we make it have good luminance
-		while (((0.2126 * r) + (0.7152 * g) + (0.0722 * b)) < 128) {
-			if (iterations++ > maxIterations) {
-				console.error(`Max iterations reached for code ${code} !!!`);
-				break; // Prevent any infinite loop.
+	/**
+	 * Creates the grid for one alternative.
+	 * @param alternativeUsedHours an object from: scheduleDay -> hour (from 0 to 19 to consier all shifts) -> selectedCourse
+	 */
+	let createPreviewTable = function (alternativeUsedHours) {
+		let $table = $("<table>");
+		let $tbody = $("<tbody>");
+
+		$table.append($tbody);
+		$tbody.append('<tr><th></th><th colspan="7">Mañana</th><th colspan="7">Tarde</th><th colspan="7">Noche</th></tr>');
+
+		for (let day in utils.DAYS) {
+			let $tr = $("<tr>");
+			$tr.append($("<td>", {html: utils.DAYS[day]}));
+
+			let lastColor = "";
+			for (let i = 0; i <= 19; i++) {
+				let selectedCourse = alternativeUsedHours[day] ? alternativeUsedHours[day][i] : null;
+
+				let color = "transparent";
+				let text = "&nbsp;";
+				if (selectedCourse) {
+					color = utils.getRandomRGBByCode(selectedCourse.courseCode);
+					if (lastColor !== color) text = utils.trimCourseName(selectedCourse.courseName);
+				}
+				lastColor = color;
+
+				$tr.append($("<td>", {class: "name-container", style: "background-color:" + color, html: text}));
 			}
-			r = Math.ceil(Math.min(255, (r + 1) * 1.1));
-			g = Math.ceil(Math.min(255, (g + 1) * 1.1));
-			b = Math.ceil(Math.min(255, (b + 1) * 1.1));
+			$tbody.append($tr);
 		}
-		return "#" + r.toString(16).padStart(2, "0") + g.toString(16).padStart(2, "0") + b.toString(16).padStart(2, "0");
+		return $table;
 	};
 
 	let setPreviewTable = function (usedHours) {
 		let $divContainer = $("<div style='display: inline-block;'>");
 
 		Object.keys(usedHours).forEach(alternativeIndex => {
-			let $table = $("<table>");
-			let $tbody = $("<tbody>");
+			let $p = $("<p>", {html: "Preview de cursada (Alt " + (parseInt(alternativeIndex) + 1) + ")"});
+			let $divTable = $("<div>").append(createPreviewTable(usedHours[alternativeIndex]));
+			$divContainer.append($p);
+			$divContainer.append($divTable);
+			$divContainer.append("<span class='powered-by-siga-helper'></span>");
+		});
+		$(".std-canvas table:last").parent().after($divContainer);
+	};
 
-			$table.append($tbody);
-			$tbody.append('<tr><th></th><th colspan="7">Mañana</th><th colspan="7">Tarde</th><th colspan="7">Noche</th></tr>');
+	// ---- Alternatives generator
 
-			for (let day in utils.DAYS) {
-				let $tr = $("<tr>");
-				$tr.append($("<td>", {html: utils.DAYS[day]}));
+	const MAX_COMBINATIONS = 30;
+	// Prevents the search from taking too long when there are many courses with many options.
+	const MAX_COUNTED_COMBINATIONS = 1000;
 
-				let lastColor = "";
-				for (let i = 0; i <= 19; i++) {
-					let selectedCourse = usedHours[alternativeIndex][day] ? usedHours[alternativeIndex][day][i] : null;
+	/**
+	 * Gets all the courses that the student is registering to, as shown in the alternatives table.
+	 * @return {Array<{courseCode: string, courseName: string}>}
+	 */
+	let getCoursesInAlternatives = function ($table) {
+		return $table.find("tbody tr").toArray()
+			.filter(tr => $(tr).find("td:not(:first)").length)
+			.map(tr => {
+				let courseStr = $(tr).find("td:first").text().trim();
+				let groups = /^\[(\d{6})\] (.*)$/.exec(courseStr);
+				if (!groups) throw `courseStr couldn't be parsed: '${courseStr}'`;
+				return {
+					courseCode: groups[1],
+					courseName: groups[2].trim()
+				};
+			});
+	};
+
+	/**
+	 * Converts the schedules into time ranges, in minutes of the day, so that it can be checked if two of them overlap.
+	 * This is needed because the last hour of the afternoon and the first one of the night are at the same time.
+	 * Classes without schedules can't be checked, so they must not get here.
+	 */
+	let getTimeRanges = function (schedules) {
+		let toMinutes = time => {
+			let parts = time.split(":");
+			return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+		};
+		return schedules.map(schedule => {
+			return {
+				day: schedule.day,
+				start: toMinutes(utils.HOURS[schedule.shift][schedule.firstHour].start),
+				end: toMinutes(utils.HOURS[schedule.shift][schedule.lastHour].end),
+			};
+		});
+	};
 
-					let color = "transparent";
-					let text = "&nbsp;";
-					if (selectedCourse) {
-						color = getRandomRGBByCode(selectedCourse.courseCode);
-						if (lastColor !== color) text = utils.trimCourseName(selectedCourse.courseName);
-					}
-					lastColor = color;
+	let overlaps = function (timeRanges, otherTimeRanges) {
+		return timeRanges.some(range => otherTimeRanges.some(otherRange => {
+			return range.day === otherRange.day && range.start < otherRange.end && otherRange.start < range.end;
+		}));
+	};
 
-					$tr.append($("<td>", {class: "name-container", style: "background-color:" + color, html: text}));
-				}
-				$tbody.append($tr);
+	/**
+	 * Finds all the combinations of classes, one for each course, in which no classes overlap between them nor with the annual classes.
+	 * @param coursesWithOptions Array of {courseCode, courseName, classes: Array<{classCode, branch, schedules}>}, only with the classes that have schedules.
+	 * @param currentClasses the annual classes that the student is taking, only the ones that have schedules.
+	 * @return {{combinations: Array<Array<{}>>, total: number}} the first {@link MAX_COMBINATIONS} combinations, each of them with one class per course,
+	 * and the total count (up to {@link MAX_COUNTED_COMBINATIONS}).
+	 */
+	let findCombinations = function (coursesWithOptions, currentClasses) {
+		// Trying the courses with less options first makes the search faster.
+		coursesWithOptions = coursesWithOptions.slice().sort((a, b) => a.classes.length - b.classes.length);
+		let fixedTimeRanges = currentClasses.flatMap(classSchedule => getTimeRanges(classSchedule.schedules));
+
+		let combinations = [];
+		let total = 0;
+		let search = function (courseIndex, selectedClasses, usedTimeRanges) {
+			if (total >= MAX_COUNTED_COMBINATIONS) return;
+			if (courseIndex === coursesWithOptions.length) {
+				if (total++ < MAX_COMBINATIONS) combinations.push(selectedClasses);
+				return;
 			}
+			let course = coursesWithOptions[courseIndex];
+			course.classes.forEach(classOption => {
+				let timeRanges = getTimeRanges(classOption.schedules);
+				if (overlaps(timeRanges, usedTimeRanges)) return;
+				let selectedClass = {
+					courseCode: course.courseCode,
+					courseName: course.courseName,
+					classCode: classOption.classCode,
+					branch: classOption.branch,
+					schedules: classOption.schedules,
+				};
+				search(courseIndex + 1, selectedClasses.concat(selectedClass), usedTimeRanges.concat(timeRanges));
+			});
+		};
+		search(0, [], fixedTimeRanges);
+		return {
+			combinations: combinations,
+			total: total,
+		};
+	};
 
-			let $p = $("<p>", {html: "Preview de cursada (Alt " + (parseInt(alternativeIndex) + 1) + ")"});
-			let $divTable = $("<div>").append($table);
-			$divContainer.append($p);
-			$divContainer.append($divTable);
-			$divContainer.append("<span class='powered-by-siga-helper'></span>");
+	let showCombinations = function ($results, combinations, total, currentClasses, unverifiedClasses) {
+		$results.html("");
+		if (unverifiedClasses.length) {
+			let classesText = unverifiedClasses.map(unverifiedClass => `[${unverifiedClass.courseCode}] ${unverifiedClass.classCode}`).join(", ");
+			$results.append(`<p>No se consideraron los siguientes cursos porque no se pudo obtener su horario: ${classesText}</p>`);
+		}
+		if (!total) {
+			$results.append("<p>No se encontraron combinaciones de cursos que no se superpongan.</p>");
+			return;
+		}
+		let countText = total >= MAX_COUNTED_COMBINATIONS ? `más de ${total}` : total;
+		if (total > combinations.length) countText += ` (mostrando las primeras ${combinations.length})`;
+		$results.append(`<p>Combinaciones encontradas: <b>${countText}</b></p>`);
+
+		combinations.forEach((combination, i) => {
+			let usedHours = {};
+			currentClasses.forEach(classSchedule => addCourseToUsedHours(usedHours, 0, classSchedule.courseCode, classSchedule.courseName, classSchedule.schedules));
+			combination.forEach(selectedClass => addCourseToUsedHours(usedHours, 0, selectedClass.courseCode, selectedClass.courseName, selectedClass.schedules));
+
+			let lis = combination.map(selectedClass => {
+				return `<li>[${selectedClass.courseCode}] ${selectedClass.courseName}: <b>${selectedClass.classCode}</b> - ${utils.BRANCHES[selectedClass.branch] || selectedClass.branch || "-"} - ${utils.getTimeInfoStringFromSchedules(selectedClass.schedules)}</li>`;
+			}).join("");
+			$results.append(`<p class="bold">Combinación ${i + 1}:</p>`);
+			$results.append(`<ul class="no-margin">${lis}</ul>`);
+			$results.append($("<div>").append(createPreviewTable(usedHours[0] || {})));
 		});
-		$(".std-canvas table:last").parent().after($divContainer);
+	};
+
+	let addAlternativesGenerator = function ($alternativesTable) {
+		let courses = getCoursesInAlternatives($alternativesTable);
+		if (!courses.length) return;
+
+		let $divContainer = $("<div style='display: inline-block;'>");
+		$divContainer.append("<p>Generador de alternativas</p>");
+		$divContainer.append(`<div>Se buscan todas las combinaciones de cursos que no se superpongan entre sí ni con las cursadas anuales actuales.<br>
+			Para poder considerar los cursos de una materia, primero se debe abrir el popup de inscripción de la misma.</div>`);
+
+		let $courses = $("<div style='margin: 10px 0;'>");
+		// The class options are saved by the popup, which can be opened while this page is shown, so they are read every time they change.
+		let updateCourses = function () {
+			let classOptionsByCourseCode = PreInscripcionPopUpPage.getClassOptionsByCourseCode();
+			// Keeps the courses that the student unchecked, the rest are checked if they have classes.
+			let uncheckedCourseCodes = $courses.find("input:enabled:not(:checked)").toArray().map(checkbox => $(checkbox).val());
+			$courses.html("");
+			courses.forEach(course => {
+				let classOptions = classOptionsByCourseCode[course.courseCode];
+				let $checkbox = $(`<input type="checkbox" value="${course.courseCode}">`);
+				let $label = $("<label style='display: block;'>").append($checkbox).append(` [${course.courseCode}] ${course.courseName} `);
+				if (classOptions) {
+					$checkbox.prop("checked", !uncheckedCourseCodes.includes(course.courseCode));
+					$label.append(`<small>(${classOptions.classes.length} cursos)</small>`);
+				} else {
+					$checkbox.prop("disabled", true);
+					$label.append(`<small>(abrir el popup de inscripción de la materia para cargar sus cursos)</small>`);
+				}
+				$courses.append($label);
+			});
+		};
+		updateCourses();
+		window.addEventListener("storage", event => {
+			if (event.key === PreInscripcionPopUpPage.LOCAL_STORAGE_CLASS_OPTIONS_KEY) updateCourses();
+		});
+		$divContainer.append($courses);
+
+		let $results = $("<div>");
+		let $generateBtn = $(`<a href="#">Generar alternativas</a>`);
+		$generateBtn.on("click", function () {
+			let classOptionsByCourseCode = PreInscripcionPopUpPage.getClassOptionsByCourseCode();
+			let selectedCourseCodes = $courses.find("input:checked").toArray().map(checkbox => $(checkbox).val());
+			// Classes without schedules can't be checked against the others, so they are left out and listed.
+			let unverifiedClasses = [];
+			let coursesWithOptions = courses
+				.filter(course => selectedCourseCodes.includes(course.courseCode) && classOptionsByCourseCode[course.courseCode])
+				.map(course => {
+					let classes = classOptionsByCourseCode[course.courseCode].classes;
+					classes.filter(classOption => !classOption.schedules || !classOption.schedules.length)
+						.forEach(classOption => unverifiedClasses.push({courseCode: course.courseCode, classCode: classOption.classCode}));
+					return Object.assign({classes: classes.filter(classOption => classOption.schedules && classOption.schedules.length)}, course);
+				});
+			if (!coursesWithOptions.length) return false;
+
+			getAllCurrentClasses().then(currentClasses => {
+				currentClasses = currentClasses.filter(classSchedule => classSchedule.schedules && classSchedule.schedules.length);
+				let result = findCombinations(coursesWithOptions, currentClasses);
+				showCombinations($results, result.combinations, result.total, currentClasses, unverifiedClasses);
+			}).catch(e => {
+				console.error("Error while generating alternatives", e);
+				$results.html("<p>No se pudieron generar las alternativas. Intentá nuevamente más tarde.</p>");
+			});
+			return false;
+		});
+		$divContainer.append($generateBtn);
+		$divContainer.append($results);
+		$divContainer.append("<span class='powered-by-siga-helper'></span>");
+		$(".std-canvas").append($divContainer);
 	};
 
 	// Init
@@ -170,9 +342,13 @@ let PreInscripcionPage = function (pagesDataParser, utils) {
 		// Check used to be sure that the given table is the one that has the used hours.
 		// This is because this page is loaded without this table too.
 		if ($th.length && $th.text() === "") {
-			return getAllUsedHours($alternativesTable).then(usedHours => {
-				setPreviewTable(usedHours);
-			});
+			// The generator is added independently, so that if it fails the preview is still shown.
+			return Promise.all([
+				getAllUsedHours($alternativesTable).then(usedHours => {
+					setPreviewTable(usedHours);
+				}),
+				Promise.resolve().then(() => addAlternativesGenerator($alternativesTable)),
+			]);
 		}
 	});
 };
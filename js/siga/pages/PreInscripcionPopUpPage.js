@@ -2,6 +2,7 @@ let PreInscripcionPopUpPage = function (utils, apiConnector) {
 
 	let year = new Date().getFullYear(); // We know that registering happens in the same year calendar. (March and July)
 	let quarters = (new Date().getMonth() + 1) < 5 ? ["A", "1C"] : ["2C"];
+	let previousProfessorsViews = new PreviousProfessorsViews(utils);
 
 	// Used for logging in case of errors, reading it before we modify it.
 	let stdCanvasHtml = "";
@@ -70,8 +71,8 @@ let PreInscripcionPopUpPage = function (utils, apiConnector) {
 
 			if (!classCode) throw `Blank rows were found in course ${courseCode}. stdCanvasHtml: ${stdCanvasHtml}`;
 
-			$tr.attr("days", schedules.map(schedule => schedule.day).join(","));
-			$tr.attr("time-shifts", schedules.map(schedule => schedule.shift).join(","));
+			$tr.attr("days", (schedules || []).map(schedule => schedule.day).join(","));
+			$tr.attr("time-shifts", (schedules || []).map(schedule => schedule.shift).join(","));
 			$tr.attr("branches", branch);
 			$schedulesTd.append("<br><b>" + utils.getTimeInfoStringFromSchedules(schedules) + "</b>");
 
@@ -85,38 +86,38 @@ let PreInscripcionPopUpPage = function (utils, apiConnector) {
 			$tr.append($previousProfessorsTdByClassCode[classCode]);
 		});
 
+		saveClassOptions(courseCode, previousProfessorsRequest.futureClassSchedules);
+
 		$table.find("tbody").prepend(`<tr><th></th><th>Curso</th><th>Horario</th><th>Anexo</th><th>Profesores en años anteriores<br><a href="" onclick="return false"><img src="/imag/help3.png" alt=""><span class="tooltip" style="text-shadow: none;">En base a datos colectados por el SigaHelper, se intenta poder saber que profesor va a estar en cada cursada, basandonos en los profesores que estuvieron en cursadas anteriores. El matching se hace por horario y anexo, a menos que no este esa informacion, y entonces se hace por codigo de curso, pero en esos casos no se puede asegurar que sea tan correcto dado que cambian seguido (Un mismo codigo de curso, en años distintos, puede estar en distintos horarios y por ende con distintos profesores).</span></a><i>Sección provista por el SIGA Helper</i></th></tr>`);
 
 		// Returns a map from classCode (the one we sent) -> year -> classCode (the new one) -> List of professors
 		return apiConnector.getPreviousProfessors(previousProfessorsRequest).then(response => {
-			Object.entries(response).forEach(previousProfessorsByClassCode => {
-				let ownClassCode = previousProfessorsByClassCode[0];
-				let $td = $previousProfessorsTdByClassCode[ownClassCode];
-				let content = "";
-				content += `<ul class="no-margin">`;
-				Object.entries(previousProfessorsByClassCode[1])
-					.sort((a, b) => (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0))
-					.forEach(classesByYear => {
-						let year = classesByYear[0];
-						content += `<li>${year}<ul class="no-margin">`;
-						Object.entries(classesByYear[1])
-							.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
-							.forEach(professorsByClass => {
-								let newClassCode = professorsByClass[0];
-								content += `<li>${newClassCode}<ul class="no-margin">`;
-								professorsByClass[1].forEach(professor => {
-									content += utils.getProfessorLi(professor);
-								});
-								content += `</ul></li>`;
-							});
-						content += `</ul></li>`;
-					});
-				content += `</ul>`;
-				$td.html(content);
-			});
+			previousProfessorsViews.fillPreviousProfessorsTds(response, $previousProfessorsTdByClassCode);
 		});
 	};
 
+	/**
+	 * Stores the classes that can be selected for the given course, so that they can be used to generate alternatives
+	 * in the {@link PreInscripcionPage}.
+	 * @param courseCode the course that is being registered.
+	 * @param classSchedulesByClassCode map from classCode to branchWithSchedule.
+	 */
+	let saveClassOptions = function (courseCode, classSchedulesByClassCode) {
+		let classOptions = PreInscripcionPopUpPage.getClassOptionsByCourseCode();
+		classOptions[courseCode] = {
+			year: year,
+			quarters: quarters,
+			classes: Object.entries(classSchedulesByClassCode).map(entry => {
+				return {
+					classCode: entry[0],
+					branch: entry[1].branch,
+					schedules: JSON.parse(JSON.stringify(entry[1].schedules)),
+				};
+			}),
+		};
+		localStorage.setItem(PreInscripcionPopUpPage.LOCAL_STORAGE_CLASS_OPTIONS_KEY, JSON.stringify(classOptions));
+	};
+
 	let addPoweredBy = function ($table) {
 		$table.parent().css("display", "inline-block").append("<span class='powered-by-siga-helper'></span>");
 	};
@@ -143,3 +144,19 @@ let PreInscripcionPopUpPage = function (utils, apiConnector) {
 		return Promise.all(promises);
 	});
 };
+
+PreInscripcionPopUpPage.LOCAL_STORAGE_CLASS_OPTIONS_KEY = "SigaHelper.PreInscripcionClassOptions";
+
+/**
+ * Returns the classes that were listed in the popup for each course, only considering the ones of the current registering period.
+ * @return an object from courseCode -> {year, quarters, classes: Array<{classCode, branch, schedules}>}
+ */
+PreInscripcionPopUpPage.getClassOptionsByCourseCode = function () {
+	let year = new Date().getFullYear();
+	let quarters = (new Date().getMonth() + 1) < 5 ? ["A", "1C"] : ["2C"];
+	let classOptions = JSON.parse(localStorage.getItem(PreInscripcionPopUpPage.LOCAL_STORAGE_CLASS_OPTIONS_KEY)) || {};
+	Object.entries(classOptions)
+		.filter(entry => entry[1].year !== year || entry[1].quarters.join() !== quarters.join())
+		.forEach(entry => delete classOptions[entry[0]]);
+	return classOptions;
+};
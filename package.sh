@@ -24,7 +24,7 @@ minifyJs "js/guarani-helper.min.js"
 minifyJs "js/background.js"
 
 echo "Creating out.zip ..."
-zip -vr out.zip css/ images/ js/siga-helper.min.js js/guarani-helper.min.js js/background.js js/pdf.worker.min.js manifest.json
+zip -vr out.zip css/ images/ js/siga-helper.min.js js/guarani-helper.min.js js/background.js js/Settings.js js/options.js js/jquery-3.4.1.min.js js/pdf.worker.min.js options.html manifest.json
 
 restoreJs "js/siga-helper.min.js"
 restoreJs "js/guarani-helper.min.js"
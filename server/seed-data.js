@@ -0,0 +1,141 @@
+/**
+ * Sample data the local server starts with. It is made up, and only meant to have something to show in the custom pages.
+ */
+
+const COURSES = [
+	{courseCode: "082021", courseName: "Análisis Matemático I", level: 1},
+	{courseCode: "082022", courseName: "Álgebra y Geometría Analítica", level: 1},
+	{courseCode: "082023", courseName: "Matemática Discreta", level: 1},
+	{courseCode: "082024", courseName: "Algoritmos y Estructuras de Datos", level: 1},
+	{courseCode: "082025", courseName: "Arquitectura de Computadoras", level: 1},
+	{courseCode: "082026", courseName: "Sistemas y Organizaciones", level: 1},
+	{courseCode: "082027", courseName: "Análisis Matemático II", level: 2},
+	{courseCode: "082028", courseName: "Física I", level: 2},
+	{courseCode: "082029", courseName: "Sintaxis y Semántica de los Lenguajes", level: 2},
+	{courseCode: "082030", courseName: "Paradigmas de Programación", level: 2},
+	{courseCode: "082031", courseName: "Análisis de Sistemas", level: 2},
+	{courseCode: "082032", courseName: "Sistemas Operativos", level: 3},
+	{courseCode: "082033", courseName: "Diseño de Sistemas", level: 3},
+	{courseCode: "082034", courseName: "Física II", level: 3},
+	{courseCode: "082035", courseName: "Probabilidad y Estadística", level: 3},
+	{courseCode: "082036", courseName: "Gestión de Datos", level: 3},
+	{courseCode: "082037", courseName: "Redes de Información", level: 4},
+	{courseCode: "082038", courseName: "Administración de Recursos", level: 4},
+	{courseCode: "082039", courseName: "Inteligencia Artificial", level: 5},
+	{courseCode: "082040", courseName: "Proyecto Final", level: 5},
+	{courseCode: "082041", courseName: "Seguridad en los Sistemas de Información", level: 4, elective: true},
+	{courseCode: "082042", courseName: "Ciencia de Datos", level: 5, elective: true},
+];
+
+// courseCode -> [[kind, requirement, courseCode]]
+const DEPENDENCIES = {
+	"082027": [["REGISTER", "SIGNED", "082021"], ["REGISTER", "SIGNED", "082022"], ["TAKE_FINAL_EXAM", "PASSED", "082021"], ["TAKE_FINAL_EXAM", "PASSED", "082022"]],
+	"082028": [["REGISTER", "SIGNED", "082021"], ["TAKE_FINAL_EXAM", "PASSED", "082021"]],
+	"082029": [["REGISTER", "SIGNED", "082023"], ["REGISTER", "SIGNED", "082024"], ["TAKE_FINAL_EXAM", "PASSED", "082023"], ["TAKE_FINAL_EXAM", "PASSED", "082024"]],
+	"082030": [["REGISTER", "SIGNED", "082023"], ["REGISTER", "SIGNED", "082024"], ["TAKE_FINAL_EXAM", "PASSED", "082023"], ["TAKE_FINAL_EXAM", "PASSED", "082024"]],
+	"082031": [["REGISTER", "SIGNED", "082024"], ["REGISTER", "SIGNED", "082026"], ["TAKE_FINAL_EXAM", "PASSED", "082024"], ["TAKE_FINAL_EXAM", "PASSED", "082026"]],
+	"082032": [["REGISTER", "SIGNED", "082025"], ["REGISTER", "PASSED", "082024"], ["TAKE_FINAL_EXAM", "PASSED", "082025"]],
+	"082033": [["REGISTER", "SIGNED", "082030"], ["REGISTER", "SIGNED", "082031"], ["TAKE_FINAL_EXAM", "PASSED", "082030"], ["TAKE_FINAL_EXAM", "PASSED", "082031"]],
+	"082034": [["REGISTER", "SIGNED", "082028"], ["REGISTER", "SIGNED", "082027"], ["TAKE_FINAL_EXAM", "PASSED", "082028"]],
+	"082035": [["REGISTER", "SIGNED", "082027"], ["TAKE_FINAL_EXAM", "PASSED", "082027"]],
+	"082036": [["REGISTER", "SIGNED", "082029"], ["REGISTER", "SIGNED", "082030"], ["TAKE_FINAL_EXAM", "PASSED", "082029"], ["TAKE_FINAL_EXAM", "PASSED", "082030"]],
+	"082037": [["REGISTER", "SIGNED", "082032"], ["TAKE_FINAL_EXAM", "PASSED", "082032"]],
+	"082038": [["REGISTER", "SIGNED", "082033"], ["TAKE_FINAL_EXAM", "PASSED", "082033"]],
+	"082039": [["REGISTER", "SIGNED", "082035"], ["REGISTER", "SIGNED", "082036"], ["TAKE_FINAL_EXAM", "PASSED", "082035"], ["TAKE_FINAL_EXAM", "PASSED", "082036"]],
+	"082040": [["REGISTER", "SIGNED", "082033"], ["REGISTER", "SIGNED", "082037"], ["TAKE_FINAL_EXAM", "PASSED", "082038"]],
+	"082041": [["REGISTER", "SIGNED", "082032"], ["TAKE_FINAL_EXAM", "PASSED", "082032"]],
+	"082042": [["REGISTER", "SIGNED", "082035"], ["REGISTER", "SIGNED", "082036"], ["TAKE_FINAL_EXAM", "PASSED", "082035"]],
+};
+
+// planCode -> courses of the plan, as returned by /courses?planCode=
+const PLANS = {
+	"K08": COURSES.map(course => ({
+		courseCode: course.courseCode,
+		courseName: course.courseName,
+		level: course.level,
+		elective: !!course.elective,
+		dependencies: (DEPENDENCIES[course.courseCode] || []).map(dependency => ({
+			kind: dependency[0],
+			requirement: dependency[1],
+			courseCode: dependency[2],
+		})),
+	})),
+};
+
+// K23 is K08 with a few changes, to show the equivalences between plans: Física I and II were merged, and two courses were renamed.
+let toK23CourseCode = courseCode => courseCode === "082034" ? "232028" : "23" + courseCode.substring(2);
+const K23_COURSE_NAMES = {
+	"232028": "Física",
+	"232036": "Bases de Datos",
+	"232037": "Redes de Datos",
+};
+PLANS["K23"] = PLANS["K08"].filter(course => course.courseCode !== "082034").map(course => ({
+	courseCode: toK23CourseCode(course.courseCode),
+	courseName: K23_COURSE_NAMES[toK23CourseCode(course.courseCode)] || course.courseName,
+	level: course.level,
+	elective: course.elective,
+	dependencies: course.dependencies.map(dependency => Object.assign({}, dependency, {courseCode: toK23CourseCode(dependency.courseCode)})),
+}));
+
+let equivalence = (fromPlanCode, fromCourseCodes, planCode, courseCode, kind) => ({
+	fromPlanCode: fromPlanCode,
+	fromCourseCodes: fromCourseCodes,
+	planCode: planCode,
+	courseCode: courseCode,
+	kind: kind,
+});
+
+// Equivalences into each plan from the courses of the previous one, as returned by /plan-equivalences?planCode=
+const PLAN_EQUIVALENCES = [
+	// K95 -> K08: the same courses with another code, except for Gestión de Datos, which is only partially recognized.
+	...PLANS["K08"]
+		.filter(course => !["082036", "082041", "082042"].includes(course.courseCode))
+		.map(course => equivalence("K95", ["95" + course.courseCode.substring(2)], "K08", course.courseCode, "TOTAL")),
+	equivalence("K95", ["952036"], "K08", "082036", "PARTIAL"),
+	// K08 -> K23: Física I and II are needed for Física, and Redes de Información is only partially recognized.
+	...PLANS["K08"]
+		.filter(course => !["082028", "082034", "082037"].includes(course.courseCode))
+		.map(course => equivalence("K08", [course.courseCode], "K23", toK23CourseCode(course.courseCode), "TOTAL")),
+	equivalence("K08", ["082028", "082034"], "K23", "232028", "TOTAL"),
+	equivalence("K08", ["082037"], "K23", "232037", "PARTIAL"),
+];
+
+let professor = (name, kind, role) => ({name: name, kind: kind, role: role});
+let schedule = (day, shift, firstHour, lastHour) => ({day: day, shift: shift, firstHour: firstHour, lastHour: lastHour});
+
+const CLASS_SCHEDULES = [];
+// The same classes are repeated for several years, so that previous professors can be found.
+[2023, 2024, 2025].forEach(year => {
+	CLASS_SCHEDULES.push(
+		{year: year, quarter: "1C", classCode: "K1021", courseCode: "082021", branch: "MEDRANO", schedules: [schedule("MONDAY", "MORNING", 1, 4), schedule("WEDNESDAY", "MORNING", 1, 4)], professors: [professor("GARCIA, MARIA", "DOCENTE", "Titular"), professor("PEREZ, JUAN", "AUXILIAR", "Ayudante 1ra")]},
+		{year: year, quarter: "1C", classCode: "K1121", courseCode: "082021", branch: "CAMPUS", schedules: [schedule("TUESDAY", "NIGHT", 0, 4), schedule("THURSDAY", "NIGHT", 0, 4)], professors: [professor("LOPEZ, CARLOS", "DOCENTE", "Asociado")]},
+		{year: year, quarter: "A", classCode: "K1022", courseCode: "082022", branch: "MEDRANO", schedules: [schedule("FRIDAY", "MORNING", 0, 4)], professors: [professor("FERNANDEZ, ANA", "DOCENTE", "Titular")]},
+		{year: year, quarter: "A", classCode: "K1024", courseCode: "082024", branch: "MEDRANO", schedules: [schedule("MONDAY", "NIGHT", 1, 5)], professors: [professor("RODRIGUEZ, LUIS", "DOCENTE", "Adjunto"), professor("PEREZ, JUAN", "AUXILIAR", "JTP")]},
+		{year: year, quarter: "A", classCode: "K1124", courseCode: "082024", branch: "CAMPUS", schedules: [schedule("SATURDAY", "MORNING", 0, 5)], professors: [professor("MARTINEZ, LAURA", "DOCENTE", "Adjunto")]},
+		{year: year, quarter: "2C", classCode: "K2028", courseCode: "082028", branch: "MEDRANO", schedules: [schedule("TUESDAY", "AFTERNOON", 0, 3), schedule("THURSDAY", "AFTERNOON", 0, 3)], professors: [professor("GOMEZ, PABLO", "DOCENTE", "Titular"), professor("SANCHEZ, SOFIA", "AUXILIAR", "Ayudante 1ra")]},
+		{year: year, quarter: "1C", classCode: "K3032", courseCode: "082032", branch: "MEDRANO", schedules: [schedule("WEDNESDAY", "NIGHT", 0, 5)], professors: [professor("LOPEZ, CARLOS", "DOCENTE", "Titular")]},
+		{year: year, quarter: "2C", classCode: "K3036", courseCode: "082036", branch: "AULA_VIRTUAL", schedules: [schedule("FRIDAY", "NIGHT", 0, 5)], professors: [professor("MARTINEZ, LAURA", "DOCENTE", "Titular"), professor("SANCHEZ, SOFIA", "AUXILIAR", "JTP")]},
+	);
+});
+
+let percentageFields = (values) => [
+	"Explica con claridad los temas",
+	"Responde las consultas",
+	"Cumple con los horarios de clase",
+].map((question, i) => ({question: question, type: "PERCENTAGE", value: values[i]}));
+
+const PROFESSOR_SURVEYS = [
+	{surveyKind: "DOCENTE", year: 2024, quarter: "1C", classCode: "K1021", courseCode: "082021", professorName: "GARCIA, MARIA", professorRole: "Titular", surveyTaker: 1, surveyFields: percentageFields([90, 80, 100]).concat([{question: "Mencione las características del docente que ayudaron en su  aprendizaje", type: "TEXT", value: "Explica muy bien y con muchos ejemplos."}])},
+	{surveyKind: "DOCENTE", year: 2024, quarter: "1C", classCode: "K1021", courseCode: "082021", professorName: "GARCIA, MARIA", professorRole: "Titular", surveyTaker: 2, surveyFields: percentageFields([80, 70, 90])},
+	{surveyKind: "AUXILIAR", year: 2024, quarter: "1C", classCode: "K1021", courseCode: "082021", professorName: "PEREZ, JUAN", professorRole: "Ayudante 1ra", surveyTaker: 1, surveyFields: percentageFields([60, 70, 50])},
+	{surveyKind: "DOCENTE", year: 2024, quarter: "1C", classCode: "K1121", courseCode: "082021", professorName: "LOPEZ, CARLOS", professorRole: "Asociado", surveyTaker: 3, surveyFields: percentageFields([40, 50, 60]).concat([{question: "Realice las observaciones que crea conveniente.", type: "TEXT", value: "Las clases son muy rapidas."}])},
+	{surveyKind: "DOCENTE", year: 2024, quarter: "2C", classCode: "K2028", courseCode: "082028", professorName: "GOMEZ, PABLO", professorRole: "Titular", surveyTaker: 2, surveyFields: percentageFields([100, 90, 90])},
+];
+
+module.exports = {
+	COURSES: COURSES,
+	PLANS: PLANS,
+	PLAN_EQUIVALENCES: PLAN_EQUIVALENCES,
+	CLASS_SCHEDULES: CLASS_SCHEDULES,
+	PROFESSOR_SURVEYS: PROFESSOR_SURVEYS,
+};
@@ -0,0 +1,303 @@
+/**
+ * Local stand-in for the Siga Helper api, to develop and demo the extension without the production api.
+ * Starts with the sample data of seed-data.js, and keeps everything that is posted in memory, so it is lost on restart.
+ *
+ * Usage: node server/server.js [port]
+ * Then set http://localhost:<port> as the api in the extension options page.
+ */
+const http = require("http");
+const seedData = require("./seed-data");
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || "8080");
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+const QUARTERS_ORDER = ["1C", "A", "2C"];
+
+let HttpError = function (status, message) {
+	this.status = status;
+	this.message = message;
+};
+
+// ---- Storage
+
+let courses = seedData.COURSES.map(course => ({courseCode: course.courseCode, courseName: course.courseName}));
+let plans = seedData.PLANS;
+let planEquivalences = seedData.PLAN_EQUIVALENCES;
+let classSchedules = seedData.CLASS_SCHEDULES.slice();
+let professorSurveys = seedData.PROFESSOR_SURVEYS.slice();
+let userStats = [];
+let logs = [];
+
+let normalize = str => (str || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase().trim();
+
+let getCourseName = function (courseCode) {
+	let course = courses.find(course => course.courseCode === courseCode);
+	return course ? course.courseName : courseCode;
+};
+
+let getOverallScore = function (professorName, surveyKind) {
+	let aggregate = getProfessorSurveysAggregate(professorName)[surveyKind];
+	return aggregate ? aggregate.overallScore : undefined;
+};
+
+let withOverallScores = function (professors) {
+	return professors.map(professor => Object.assign({}, professor, {overallScore: getOverallScore(professor.name, professor.kind)}));
+};
+
+// Newest first.
+let compareClassSchedules = (a, b) => (b.year - a.year) || (QUARTERS_ORDER.indexOf(b.quarter) - QUARTERS_ORDER.indexOf(a.quarter)) || a.classCode.localeCompare(b.classCode);
+
+// ---- Handlers
+
+let searchCourses = function (query) {
+	return courses
+		.filter(course => normalize(course.courseName).includes(normalize(query)) || course.courseCode.includes(query))
+		.map(course => ({value: course.courseName, data: course.courseCode}));
+};
+
+let getPlanCourses = function (planCode) {
+	return plans[planCode] || [];
+};
+
+/**
+ * @return the equivalences into the given plan, from the courses of the plans that it replaced.
+ */
+let getPlanEquivalences = function (planCode) {
+	if (!planCode) throw new HttpError(400, "planCode is required");
+	return planEquivalences.filter(equivalence => equivalence.planCode === planCode);
+};
+
+let searchProfessors = function (query) {
+	let professorNames = new Set(classSchedules.flatMap(classSchedule => classSchedule.professors.map(professor => professor.name)));
+	professorSurveys.forEach(survey => professorNames.add(survey.professorName));
+	return [...professorNames]
+		.filter(professorName => normalize(professorName).includes(normalize(query)))
+		.sort()
+		.map(professorName => ({
+			value: professorName,
+			data: professorSurveys.filter(survey => survey.professorName === professorName).length,
+		}));
+};
+
+/**
+ * @return an object from surveyKind -> {overallScore, percentageFields: [{question, average, count}], textFields: {question -> [answers]}}
+ */
+let getProfessorSurveysAggregate = function (professorName) {
+	let aggregate = {};
+	professorSurveys.filter(survey => survey.professorName === professorName).forEach(survey => {
+		let kindAggregate = aggregate[survey.surveyKind] = aggregate[survey.surveyKind] || {percentageValues: {}, textFields: {}};
+		survey.surveyFields.filter(field => field.value !== null && field.value !== undefined).forEach(field => {
+			if (field.type === "PERCENTAGE") {
+				(kindAggregate.percentageValues[field.question] = kindAggregate.percentageValues[field.question] || []).push(field.value);
+			} else if (field.type === "TEXT") {
+				(kindAggregate.textFields[field.question] = kindAggregate.textFields[field.question] || []).push(field.value);
+			}
+		});
+	});
+	Object.values(aggregate).forEach(kindAggregate => {
+		kindAggregate.percentageFields = Object.entries(kindAggregate.percentageValues).map(entry => ({
+			question: entry[0],
+			average: Math.round(entry[1].reduce((a, b) => a + b, 0) / entry[1].length),
+			count: entry[1].length,
+		}));
+		let averages = kindAggregate.percentageFields.map(field => field.average);
+		kindAggregate.overallScore = averages.length ? Math.round(averages.reduce((a, b) => a + b, 0) / averages.length) : 0;
+		delete kindAggregate.percentageValues;
+	});
+	return aggregate;
+};
+
+let getClassSchedules = function (courseCode, professorName, offset, limit) {
+	return classSchedules
+		.filter(classSchedule => !courseCode || classSchedule.courseCode === courseCode)
+		.filter(classSchedule => !professorName || classSchedule.professors.some(professor => professor.name === professorName))
+		.sort(compareClassSchedules)
+		.slice(offset, offset + limit)
+		.map(classSchedule => Object.assign({}, classSchedule, {
+			courseName: getCourseName(classSchedule.courseCode),
+			professors: withOverallScores(classSchedule.professors),
+		}));
+};
+
+/**
+ * Classes with the same code, year and quarter are the same class, so the posted ones replace the stored ones.
+ */
+let postClassSchedules = function (postedClassSchedules) {
+	if (!Array.isArray(postedClassSchedules)) throw new HttpError(400, "An array of class schedules is expected");
+	postedClassSchedules.forEach(posted => {
+		let isSameClass = classSchedule => classSchedule.year === posted.year && classSchedule.quarter === posted.quarter && classSchedule.classCode === posted.classCode && classSchedule.courseCode === posted.courseCode;
+		let existing = classSchedules.find(isSameClass);
+		let professors = posted.professors || [];
+		if (existing) {
+			// Classes collected from the surveys only have one of the professors, so they are merged.
+			professors = existing.professors.filter(professor => !professors.some(p => p.name === professor.name)).concat(professors);
+		}
+		classSchedules = classSchedules.filter(classSchedule => !isSameClass(classSchedule));
+		classSchedules.push({
+			year: posted.year,
+			quarter: posted.quarter,
+			classCode: posted.classCode,
+			courseCode: posted.courseCode,
+			branch: posted.branch || (existing && existing.branch) || null,
+			schedules: posted.schedules || (existing && existing.schedules) || null,
+			professors: professors,
+		});
+		if (!courses.some(course => course.courseCode === posted.courseCode)) {
+			courses.push({courseCode: posted.courseCode, courseName: posted.courseName || posted.courseCode});
+		}
+	});
+	return {};
+};
+
+/**
+ * As explained to the user in the inscripción pages, the professors of previous years' classes of the course are matched
+ * by branch and schedules, or by the class code if the future class doesn't have them.
+ * @return an object from: classCode (the requested one) -> year -> classCode (the previous one) -> professors
+ */
+let getPreviousProfessors = function (request) {
+	if (!request || !request.courseCode || !request.futureClassSchedules) throw new HttpError(400, "courseCode and futureClassSchedules are required");
+	let sameSchedules = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+	let previousClassSchedules = classSchedules.filter(classSchedule => classSchedule.courseCode === request.courseCode && classSchedule.year < request.year);
+
+	let response = {};
+	Object.entries(request.futureClassSchedules).forEach(entry => {
+		let classCode = entry[0];
+		let futureClassSchedule = entry[1];
+		let matches = previousClassSchedules.filter(classSchedule => {
+			if (futureClassSchedule.schedules && futureClassSchedule.branch) {
+				return classSchedule.branch === futureClassSchedule.branch && sameSchedules(classSchedule.schedules, futureClassSchedule.schedules);
+			}
+			return classSchedule.classCode === classCode;
+		});
+		response[classCode] = {};
+		matches.forEach(classSchedule => {
+			let byClassCode = response[classCode][classSchedule.year] = response[classCode][classSchedule.year] || {};
+			byClassCode[classSchedule.classCode] = withOverallScores(classSchedule.professors);
+		});
+	});
+	return response;
+};
+
+let postProfessorSurveys = function (surveys) {
+	if (!Array.isArray(surveys)) throw new HttpError(400, "An array of surveys is expected");
+	// A student can change the answers of a survey, so the previous ones are replaced.
+	surveys.forEach(survey => {
+		professorSurveys = professorSurveys.filter(s => !(s.surveyTaker === survey.surveyTaker && s.year === survey.year && s.quarter === survey.quarter &&
+			s.classCode === survey.classCode && s.professorName === survey.professorName && s.surveyKind === survey.surveyKind));
+		professorSurveys.push(survey);
+	});
+	return {};
+};
+
+let postUserStat = function (userStat) {
+	userStats = userStats.filter(stat => stat.hashedStudentId !== userStat.hashedStudentId).concat([userStat]);
+	return {};
+};
+
+/**
+ * Student ids used to be hashed in a way that could be reversed, so the extension sends the previous hash with the new one,
+ * and everything that was posted with the previous hash is moved to the new one.
+ */
+let postHashedStudentIdMigrations = function (migrations) {
+	if (!Array.isArray(migrations)) throw new HttpError(400, "An array of migrations is expected");
+	migrations.forEach(migration => {
+		if (!migration.previousHashedStudentId || !migration.hashedStudentId) throw new HttpError(400, "previousHashedStudentId and hashedStudentId are required");
+		let previous = String(migration.previousHashedStudentId);
+		let previousUserStat = userStats.find(stat => String(stat.hashedStudentId) === previous);
+		if (previousUserStat && !userStats.some(stat => stat.hashedStudentId === migration.hashedStudentId)) {
+			previousUserStat.hashedStudentId = migration.hashedStudentId;
+		}
+		userStats = userStats.filter(stat => String(stat.hashedStudentId) !== previous);
+		professorSurveys.filter(survey => String(survey.surveyTaker) === previous).forEach(survey => survey.surveyTaker = migration.hashedStudentId);
+	});
+	return {};
+};
+
+let postLog = function (log, client) {
+	logs.push(Object.assign({client: client, time: new Date().toISOString()}, log));
+	console.log(`[${client}] ${log.error ? "ERROR" : "INFO"} ${log.method}: ${log.message}`);
+	return {};
+};
+
+// ---- Routing
+
+const ROUTES = {
+	"GET /courses": params => {
+		if (params.has("planCode")) return getPlanCourses(params.get("planCode"));
+		return searchCourses(params.get("q") || "");
+	},
+	"GET /plan-equivalences": params => getPlanEquivalences(params.get("planCode")),
+	"GET /professors": params => searchProfessors(params.get("q") || ""),
+	"GET /aggregated-professor-surveys": params => getProfessorSurveysAggregate(params.get("professorName")),
+	"GET /class-schedules": params => getClassSchedules(params.get("courseCode"), params.get("professorName"), parseInt(params.get("offset") || "0"), parseInt(params.get("limit") || "20")),
+	"POST /class-schedules": (params, body) => postClassSchedules(body),
+	"POST /previous-professors": (params, body) => getPreviousProfessors(body),
+	"POST /professor-surveys": (params, body) => postProfessorSurveys(body),
+	"POST /user-stats": (params, body) => postUserStat(body),
+	"POST /hashed-student-ids": (params, body) => postHashedStudentIdMigrations(body),
+	"POST /log": (params, body, client) => postLog(body, client),
+};
+
+let readBody = function (request) {
+	return new Promise((resolve, reject) => {
+		let chunks = [];
+		let size = 0;
+		request.on("data", chunk => {
+			size += chunk.length;
+			if (size > MAX_BODY_SIZE) {
+				reject(new HttpError(413, "Body too large"));
+				request.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		request.on("end", () => {
+			let body = Buffer.concat(chunks).toString("utf8");
+			if (!body) return resolve(null);
+			try {
+				resolve(JSON.parse(body));
+			} catch (e) {
+				reject(new HttpError(400, `Invalid json body: ${e.message}`));
+			}
+		});
+		request.on("error", reject);
+	});
+};
+
+let sendJson = function (response, status, json) {
+	response.writeHead(status, {
+		"Content-Type": "application/json; charset=utf-8",
+		"Access-Control-Allow-Origin": "*",
+		"Access-Control-Allow-Headers": "Content-Type, X-Client",
+	});
+	response.end(JSON.stringify(json));
+};
+
+let server = http.createServer((request, response) => {
+	let url = new URL(request.url, `http://${request.headers.host || "localhost"}`);
+	// The api can be served under any path, e.g. http://localhost:8080/sigahelper/v2, so only the last part is used.
+	let path = url.pathname.replace(/\/+$/, "").replace(/^.*(\/(courses|plan-equivalences|professors|aggregated-professor-surveys|class-schedules|previous-professors|professor-surveys|user-stats|hashed-student-ids|log))$/, "$1");
+	if (request.method === "OPTIONS") {
+		response.writeHead(204, {
+			"Access-Control-Allow-Origin": "*",
+			"Access-Control-Allow-Methods": "GET, POST",
+			"Access-Control-Allow-Headers": "Content-Type, X-Client",
+		});
+		return response.end();
+	}
+
+	Promise.resolve().then(() => {
+		let route = ROUTES[`${request.method} ${path}`];
+		if (!route) throw new HttpError(404, `Not found: ${request.method} ${url.pathname}`);
+		return readBody(request).then(body => route(url.searchParams, body, request.headers["x-client"] || "unknown"));
+	}).then(json => {
+		sendJson(response, 200, json);
+	}).catch(e => {
+		let error = e instanceof HttpError ? e : new HttpError(500, e.toString());
+		if (error.status === 500) console.error(`Error handling ${request.method} ${request.url}`, e);
+		sendJson(response, error.status, {message: error.message});
+	});
+});
+
+server.listen(PORT, () => {
+	console.log(`Siga Helper local api listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,106 @@
+/**
+ * Saved pages by url, registered by the fixtures files. Values can be:
+ * - a string with the html (or the json of guarani's ajax contents).
+ * - {pdfPages: [[String]]}: the text contents of each page of a pdf, as pdf.js returns them.
+ * - {status: Number, contentType: String, body: String}: any other response.
+ * - a function that receives the ajax options (e.g. to answer POSTs by their data) and returns any of the above.
+ */
+const TestFixtures = {};
+
+/**
+ * Replaces the requests made by the PagesDataParser ($.ajax, fetch and pdf.js) with the fixtures,
+ * so that the parsers can be tested without being logged in.
+ */
+let TestStubs = function () {
+
+	// Fixtures that are only used in the current test.
+	let overriddenFixtures = {};
+	let requestedUrls = [];
+	let loggedErrors = [];
+
+	let getFixture = function (url, options) {
+		requestedUrls.push(url);
+		let fixture = url in overriddenFixtures ? overriddenFixtures[url] : TestFixtures[url];
+		if (typeof fixture === "function") fixture = fixture(options);
+		if (fixture === undefined) return {status: 404, contentType: "text/html", body: `No fixture for ${url}`};
+		if (typeof fixture === "string") return {status: 200, contentType: "text/html", body: fixture};
+		if (fixture.pdfPages) return {status: 200, contentType: "application/pdf", pdfPages: fixture.pdfPages};
+		return fixture;
+	};
+
+	$.ajax = function (urlOrOptions) {
+		let options = typeof urlOrOptions === "string" ? {url: urlOrOptions} : urlOrOptions;
+		let fixture = getFixture(options.url, options);
+		let deferred = $.Deferred();
+		if (fixture.status === 200) {
+			deferred.resolve(fixture.body);
+		} else {
+			deferred.reject({status: fixture.status, responseText: fixture.body});
+		}
+		return deferred.promise();
+	};
+
+	window.fetch = function (url) {
+		let fixture = getFixture(url);
+		return Promise.resolve({
+			ok: fixture.status >= 200 && fixture.status < 300,
+			status: fixture.status,
+			headers: {get: header => header.toLowerCase() === "content-type" ? fixture.contentType : null},
+			text: () => Promise.resolve(fixture.body),
+			// The pdf is not really saved, so the "data" handed to pdf.js is just its pages contents.
+			arrayBuffer: () => Promise.resolve(fixture.pdfPages),
+		});
+	};
+
+	window.pdfjsLib = {
+		getDocument: function (source) {
+			let pdfPages = source.data;
+			return {
+				promise: Promise.resolve({
+					numPages: pdfPages.length,
+					getPage: pageNumber => Promise.resolve({
+						getTextContent: () => Promise.resolve({items: pdfPages[pageNumber - 1].map(str => ({str: str}))}),
+					}),
+				}),
+			};
+		},
+	};
+
+	let apiConnector = {
+		logMessage: function (method, isError, message) {
+			loggedErrors.push({method: method, message: message});
+			return Promise.resolve();
+		},
+	};
+
+	let setFixture = function (url, fixture) {
+		overriddenFixtures[url] = fixture;
+	};
+
+	let reset = function () {
+		overriddenFixtures = {};
+		requestedUrls = [];
+		loggedErrors = [];
+	};
+
+	// Public
+	return {
+		apiConnector: apiConnector,
+		setFixture: setFixture,
+		reset: reset,
+		getRequestedUrls: () => requestedUrls,
+		getLoggedErrors: () => loggedErrors,
+	};
+};
+
+/**
+ * Builds the response of guarani's ajax pages, where the html of each part of the page comes inside a script, e.g.:
+ * {"cod": "1", "cont": "<script>kernel.renderer.on_arrival({\"info\": {\"id\": \"info_plan\"}, \"content\": \"<div>...</div>\"});</script>"}
+ */
+TestStubs.getGuaraniAjaxContents = function (infoId, html) {
+	let onArrival = JSON.stringify({info: {id: infoId}, content: html}).replace(/\//g, "\\/");
+	return JSON.stringify({
+		cod: "1",
+		cont: `<script>kernel.renderer.on_arrival(${onArrival});</script>`,
+	});
+};
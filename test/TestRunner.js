@@ -0,0 +1,101 @@
+/**
+ * Minimal test runner, as the extension runs in the browser and doesn't have any dependencies to run tests with.
+ * Results are shown in the page, and the page title ends up being "PASSED" or "FAILED", so that it can also be checked
+ * from a headless browser (see README).
+ */
+let TestRunner = function () {
+
+	let tests = [];
+	let beforeEachFns = [];
+	let afterEachFns = [];
+
+	let test = function (name, fn) {
+		tests.push({name: name, fn: fn});
+	};
+
+	let beforeEach = function (fn) {
+		beforeEachFns.push(fn);
+	};
+
+	let afterEach = function (fn) {
+		afterEachFns.push(fn);
+	};
+
+	let runTest = function (test) {
+		return Promise.resolve().then(() => {
+			beforeEachFns.forEach(fn => fn());
+			return test.fn();
+		}).then(() => {
+			return {name: test.name, passed: true};
+		}, e => {
+			return {name: test.name, passed: false, error: e};
+		}).then(result => {
+			afterEachFns.forEach(fn => fn());
+			return result;
+		});
+	};
+
+	let showResult = function (result) {
+		let error = result.passed ? "" : (result.error instanceof Error ? result.error.stack || result.error.toString() : JSON.stringify(result.error));
+		$("#results").append($(`<li class="${result.passed ? "passed" : "failed"}"></li>`)
+			.text(`${result.passed ? "✔" : "✘"} ${result.name}`)
+			.append(error ? $("<pre></pre>").text(error) : ""));
+	};
+
+	let run = function () {
+		document.title = "RUNNING";
+		TestRunner.runningCount++;
+		let results = [];
+		let promise = Promise.resolve();
+		tests.forEach(test => {
+			promise = promise.then(() => {
+				return runTest(test);
+			}).then(result => {
+				results.push(result);
+				showResult(result);
+			});
+		});
+		return promise.then(() => {
+			// A page can have several test files, each one with its own runner, so the totals are shared between them.
+			TestRunner.runningCount--;
+			TestRunner.passedCount += results.filter(result => result.passed).length;
+			TestRunner.failedCount += results.filter(result => !result.passed).length;
+			$("#summary").text(`${TestRunner.passedCount} passed, ${TestRunner.failedCount} failed`);
+			if (!TestRunner.runningCount) document.title = TestRunner.failedCount ? "FAILED" : "PASSED";
+			return results;
+		});
+	};
+
+	// Public
+	return {
+		test: test,
+		beforeEach: beforeEach,
+		afterEach: afterEach,
+		run: run,
+	};
+};
+
+TestRunner.runningCount = 0;
+TestRunner.passedCount = 0;
+TestRunner.failedCount = 0;
+
+/**
+ * Compares the values as json, so dates are compared by their time, and undefined properties are ignored.
+ */
+let assertEquals = function (actual, expected, message) {
+	let actualJson = JSON.stringify(actual);
+	let expectedJson = JSON.stringify(expected);
+	if (actualJson !== expectedJson) throw `${message ? message + ": " : ""}expected ${expectedJson} but got ${actualJson}`;
+};
+
+/**
+ * @param promise the promise that is expected to be rejected.
+ * @param errorCheck optional function that receives the error, and returns whether it is the expected one.
+ */
+let assertRejects = function (promise, errorCheck) {
+	return promise.then(result => {
+		throw `Expected promise to be rejected, but it resolved with ${JSON.stringify(result)}`;
+	}, e => {
+		if (errorCheck && !errorCheck(e)) throw `Promise was rejected with an unexpected error: ${e instanceof Error ? e.toString() : JSON.stringify(e)}`;
+	});
+};
@@ -0,0 +1,62 @@
+(function () {
+
+	let runner = new TestRunner();
+	let utils = {
+		HOURS: {
+			n: {
+				0: {start: "18:15", end: "19:00"},
+				5: {start: "22:15", end: "23:00"},
+			},
+		},
+		BRANCHES: {"MEDRANO": "MEDRANO"},
+	};
+	let calendarExporter = new CalendarExporter(utils);
+	// Next year, so that the class is still being taken.
+	let year = new Date().getFullYear() + 1;
+
+	let getIcsLines = classSchedules => calendarExporter.getIcsFromClassSchedules(classSchedules).split("\r\n");
+
+	runner.test("getIcsFromClassSchedules creates a weekly event for each day, from the first matching day of the quarter", () => {
+		let lines = getIcsLines([
+			{year: year, quarter: "1C", classCode: "Z1154", courseCode: "950701", courseName: "Física I", branch: "MEDRANO", schedules: [{day: "Lu", shift: "n", firstHour: "0", lastHour: "5"}]},
+		]);
+		let firstMonday = new Date(year, 2, 13);
+		firstMonday.setDate(firstMonday.getDate() + (8 - firstMonday.getDay()) % 7);
+		let firstMondayStr = `${year}03${String(firstMonday.getDate()).padStart(2, "0")}`;
+		assertEquals(lines.filter(line => /^(DTSTART;|DTEND|RRULE|SUMMARY|LOCATION)/.test(line)), [
+			`DTSTART;TZID=America/Argentina/Buenos_Aires:${firstMondayStr}T181500`,
+			`DTEND;TZID=America/Argentina/Buenos_Aires:${firstMondayStr}T230000`,
+			`RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=${year}0716T025959Z`,
+			"SUMMARY:Física I",
+			"LOCATION:MEDRANO",
+		]);
+	});
+
+	runner.test("getIcsFromClassSchedules ends the recurrence at the end of the last day in Argentina, so night classes are included", () => {
+		let lines = getIcsLines([
+			{year: year, quarter: "2C", classCode: "Z3574", courseCode: "950707", courseName: "Economía", schedules: [{day: "Ju", shift: "n", firstHour: "5", lastHour: "5"}]},
+		]);
+		assertEquals(lines.filter(line => line.startsWith("RRULE")), [`RRULE:FREQ=WEEKLY;BYDAY=TH;UNTIL=${year}1201T025959Z`]);
+	});
+
+	runner.test("getIcsFromClassSchedules returns null if there aren't current classes", () => {
+		assertEquals(calendarExporter.getIcsFromClassSchedules([
+			{year: 2019, quarter: "1C", classCode: "Z1154", courseCode: "950701", courseName: "Física I", schedules: [{day: "Lu", shift: "n", firstHour: "0", lastHour: "5"}]},
+		]), null);
+	});
+
+	runner.test("getIcsFromClassSchedules folds the long lines at 75 octets without splitting multi-byte characters", () => {
+		let courseName = "Diseño de Lógica Computacional y Programación Orientada a Objetos en Ingeniería";
+		let lines = getIcsLines([
+			{year: year, quarter: "1C", classCode: "Z1154", courseCode: "950701", courseName: courseName, schedules: [{day: "Lu", shift: "n", firstHour: "0", lastHour: "5"}]},
+		]);
+		let summaryIndex = lines.findIndex(line => line.startsWith("SUMMARY:"));
+		let summaryLines = [lines[summaryIndex]];
+		while (lines[summaryIndex + summaryLines.length].startsWith(" ")) summaryLines.push(lines[summaryIndex + summaryLines.length]);
+		assertEquals(summaryLines.length > 1, true);
+		assertEquals(summaryLines.every(line => new TextEncoder().encode(line).length <= 75), true);
+		assertEquals(summaryLines.map((line, i) => i ? line.substring(1) : line).join(""), "SUMMARY:" + courseName);
+	});
+
+	runner.run();
+})();
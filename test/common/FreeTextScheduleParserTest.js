@@ -0,0 +1,69 @@
+(function () {
+
+	let runner = new TestRunner();
+	// The hours of the shifts, as in Utils.HOURS.
+	let freeTextScheduleParser = new FreeTextScheduleParser({
+		m: {
+			0: {start: "7:45", end: "8:30"},
+			1: {start: "8:30", end: "9:15"},
+			2: {start: "9:15", end: "10:00"},
+			3: {start: "10:15", end: "11:00"},
+			4: {start: "11:00", end: "11:45"},
+			5: {start: "11:45", end: "12:30"},
+			6: {start: "12:30", end: "13:15"}
+		},
+		t: {
+			0: {start: "13:30", end: "14:15"},
+			1: {start: "14:15", end: "15:00"},
+			2: {start: "15:00", end: "15:45"},
+			3: {start: "16:00", end: "16:45"},
+			4: {start: "16:45", end: "17:30"},
+			5: {start: "17:30", end: "18:15"},
+			6: {start: "18:15", end: "19:00"},
+		},
+		n: {
+			0: {start: "18:15", end: "19:00"},
+			1: {start: "19:00", end: "19:45"},
+			2: {start: "19:45", end: "20:30"},
+			3: {start: "20:45", end: "21:30"},
+			4: {start: "21:30", end: "22:15"},
+			5: {start: "22:15", end: "23:00"},
+		}
+	});
+
+	let schedule = (day, shift, firstHour, lastHour) => ({day: day, shift: shift, firstHour: firstHour, lastHour: lastHour});
+
+	runner.test("getSchedulesFromFreeText maps the time ranges onto the hours of the shifts", () => {
+		// These were hardcoded as fixes before the free text could be parsed.
+		let expectedSchedules = {
+			"Miércoles 13.30 a 15.45 hs.": [schedule("Mi", "t", "0", "2")],
+			"VIERNES: 14:00 A 16:30 HS. / I": [schedule("Vi", "t", "1", "3")],
+			"MIÉRCOLES: 19 A 21 HS. / ARQ.": [schedule("Mi", "n", "1", "3")],
+			"SÁBADOS: 8 A 13 HS. / ING. DE": [schedule("Sa", "m", "0", "6")],
+			"MARTES: 14:00 A 16.30 HS.": [schedule("Ma", "t", "1", "3")],
+			"JUEVES: 19 A 21 HS. / ARQ. DAB": [schedule("Ju", "n", "1", "3")],
+			"JUEVES: 16:00 A 19:00 HS.": [schedule("Ju", "t", "3", "6")],
+			"Jueves de 18.15 a 20.15 hs.": [schedule("Ju", "n", "0", "2")],
+		};
+		Object.entries(expectedSchedules).forEach(entry => {
+			assertEquals(freeTextScheduleParser.getSchedulesFromFreeText(entry[0]), entry[1]);
+		});
+	});
+
+	runner.test("getSchedulesFromFreeText applies each time range to the days before it", () => {
+		assertEquals(freeTextScheduleParser.getSchedulesFromFreeText("Lunes y Jueves de 19 a 22 hs, Sábado 8 a 10"), [
+			schedule("Lu", "n", "1", "4"),
+			schedule("Ju", "n", "1", "4"),
+			schedule("Sa", "m", "0", "2"),
+		]);
+	});
+
+	runner.test("getSchedulesFromFreeText returns null if the string couldn't be parsed", () => {
+		assertEquals(freeTextScheduleParser.getSchedulesFromFreeText("A confirmar"), null);
+		assertEquals(freeTextScheduleParser.getSchedulesFromFreeText("Lunes"), null);
+		assertEquals(freeTextScheduleParser.getSchedulesFromFreeText("19 a 21 hs."), null);
+		assertEquals(freeTextScheduleParser.getSchedulesFromFreeText("Lunes 21 a 19 hs."), null);
+	});
+
+	runner.run();
+})();
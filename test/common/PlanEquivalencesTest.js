@@ -0,0 +1,124 @@
+(function () {
+
+	let runner = new TestRunner();
+
+	let equivalence = (fromPlanCode, fromCourseCodes, planCode, courseCode, kind) => ({
+		fromPlanCode: fromPlanCode,
+		fromCourseCodes: fromCourseCodes,
+		planCode: planCode,
+		courseCode: courseCode,
+		kind: kind,
+	});
+
+	// K95 -> K08 -> K23, where Física I and II were merged into Física in K23.
+	let equivalencesByPlanCode;
+	let requestedPlanCodes;
+	let apiConnector = {
+		getPlanEquivalences: function (planCode) {
+			requestedPlanCodes.push(planCode);
+			let equivalences = equivalencesByPlanCode[planCode];
+			return equivalences ? Promise.resolve(equivalences) : Promise.reject({status: 404, message: "Not found"});
+		},
+	};
+	let planEquivalences;
+
+	runner.beforeEach(() => {
+		requestedPlanCodes = [];
+		equivalencesByPlanCode = {
+			"K95": [],
+			"K08": [
+				equivalence("K95", ["952021"], "K08", "082021", "TOTAL"),
+				equivalence("K95", ["952028"], "K08", "082028", "TOTAL"),
+				equivalence("K95", ["952034"], "K08", "082034", "TOTAL"),
+				equivalence("K95", ["952036"], "K08", "082036", "PARTIAL"),
+			],
+			"K23": [
+				equivalence("K08", ["082021"], "K23", "232021", "TOTAL"),
+				equivalence("K08", ["082028", "082034"], "K23", "232028", "TOTAL"),
+				equivalence("K08", ["082036"], "K23", "232036", "TOTAL"),
+				equivalence("K08", ["082037"], "K23", "232037", "PARTIAL"),
+			],
+		};
+		planEquivalences = new PlanEquivalences(apiConnector);
+	});
+
+	runner.test("mapPassedCourses maps the courses through the chain of plans, keeping the student's courses they come from", () => {
+		return planEquivalences.mapPassedCourses("K23", {passed: ["952021"], signed: ["952021"]}).then(mappedCourses => {
+			assertEquals(mappedCourses.passed["232021"], ["952021"]);
+			assertEquals(mappedCourses.signed["232021"], ["952021"]);
+			assertEquals(mappedCourses.passed["952021"], ["952021"]);
+			assertEquals(requestedPlanCodes, ["K23", "K08", "K95"]);
+		});
+	});
+
+	runner.test("mapPassedCourses needs all the courses of a merged course", () => {
+		return planEquivalences.mapPassedCourses("K23", {passed: ["082028"], signed: ["082028", "952034"]}).then(mappedCourses => {
+			assertEquals(mappedCourses.passed["232028"], undefined);
+			assertEquals(mappedCourses.signed["232028"], ["082028", "952034"]);
+		});
+	});
+
+	runner.test("mapPassedCourses only marks a partial equivalence for passed courses, and not as passed", () => {
+		return planEquivalences.mapPassedCourses("K23", {passed: ["082037"], signed: ["082037", "952036"]}).then(mappedCourses => {
+			assertEquals(mappedCourses.partial, {"232037": ["082037"]});
+			assertEquals(mappedCourses.passed["232037"], undefined);
+			assertEquals(mappedCourses.signed["232037"], undefined);
+			assertEquals(mappedCourses.signed["232036"], undefined);
+		});
+	});
+
+	runner.test("mapPassedCourses doesn't follow a partial equivalence to the next plan", () => {
+		return planEquivalences.mapPassedCourses("K23", {passed: ["952036"], signed: ["952036"]}).then(mappedCourses => {
+			assertEquals(mappedCourses.partial, {});
+			assertEquals(mappedCourses.passed["232036"], undefined);
+		});
+	});
+
+	runner.test("mapPassedCourses doesn't loop forever if two plans have equivalences to each other", () => {
+		equivalencesByPlanCode["K08"].push(equivalence("K23", ["232021"], "K08", "082021", "TOTAL"));
+		return planEquivalences.mapPassedCourses("K23", {passed: ["952021"], signed: []}).then(mappedCourses => {
+			assertEquals(mappedCourses.passed["232021"], ["952021"]);
+			assertEquals(requestedPlanCodes, ["K23", "K08", "K95"]);
+		});
+	});
+
+	runner.test("mapPassedCourses matches the plan courses without equivalences by their code", () => {
+		let planCourseCodes = ["232021", "232028", "232050"];
+		return planEquivalences.mapPassedCourses("K23", {passed: ["952050", "082028"], signed: ["952050", "082028"]}, planCourseCodes).then(mappedCourses => {
+			assertEquals(mappedCourses.equivalencesUnavailable, false);
+			assertEquals(mappedCourses.passed["232050"], ["952050"]);
+			// Its equivalence needs both courses that were merged.
+			assertEquals(mappedCourses.passed["232028"], undefined);
+			assertEquals(mappedCourses.matchedByCode, {"232050": true});
+		});
+	});
+
+	runner.test("mapPassedCourses keeps the equivalences that could be retrieved if a plan of the chain fails", () => {
+		delete equivalencesByPlanCode["K08"];
+		let planCourseCodes = ["232021", "232028", "232036", "232050"];
+		return planEquivalences.mapPassedCourses("K23", {passed: ["082021", "082036", "952050"], signed: ["082021", "082036", "952050"]}, planCourseCodes).then(mappedCourses => {
+			assertEquals(mappedCourses.equivalencesUnavailable, true);
+			assertEquals(requestedPlanCodes, ["K23", "K08"]);
+			assertEquals(mappedCourses.passed, {
+				"082021": ["082021"], "082036": ["082036"], "952050": ["952050"],
+				"232021": ["082021"], "232036": ["082036"], "232050": ["952050"],
+			});
+			assertEquals(mappedCourses.partial, {});
+		});
+	});
+
+	runner.test("mapPassedCourses matches the courses by their code if the equivalences of the plan can't be retrieved", () => {
+		delete equivalencesByPlanCode["K23"];
+		let planCourseCodes = ["232021", "232028", "232036"];
+		return planEquivalences.mapPassedCourses("K23", {passed: ["082021", "952028"], signed: ["082021", "952028", "232036"]}, planCourseCodes).then(mappedCourses => {
+			assertEquals(mappedCourses.equivalencesUnavailable, true);
+			assertEquals(mappedCourses.passed, {"082021": ["082021"], "952028": ["952028"], "232021": ["082021"], "232028": ["952028"]});
+			assertEquals(mappedCourses.signed["232036"], ["232036"]);
+			assertEquals(mappedCourses.partial, {});
+			// The course that the student took in this plan is not a guess.
+			assertEquals(mappedCourses.matchedByCode, {"232021": true, "232028": true});
+		});
+	});
+
+	runner.run();
+})();
@@ -0,0 +1,277 @@
+(function () {
+
+	let runner = new TestRunner();
+	let stubs = new TestStubs();
+	let utils = new Utils();
+	let pagesDataParser;
+
+	runner.beforeEach(() => {
+		// A new parser for each test, as it caches the pages contents.
+		pagesDataParser = new PagesDataParser(utils, stubs.apiConnector);
+	});
+	runner.afterEach(() => {
+		stubs.reset();
+		$("#js-selector-propuestas").remove();
+	});
+
+	let isLoggedOutError = e => e instanceof LoggedOutError;
+
+	// ---- Student
+
+	runner.test("getStudentId formats the student id of the plan pdf", () => {
+		return pagesDataParser.getStudentId().then(studentId => {
+			assertEquals(studentId, "123.456-7");
+		});
+	});
+
+	runner.test("getStudentId throws a LoggedOutError without logging it if the login page is returned instead of the pdf", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio/generar_pdf", GUARANI_LOGIN_PAGE);
+		return assertRejects(pagesDataParser.getStudentId(), isLoggedOutError).then(() => {
+			assertEquals(stubs.getLoggedErrors(), []);
+		});
+	});
+
+	runner.test("getStudentId throws a LoggedOutError if the pdf request is unauthorized", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio/generar_pdf", {status: 401, contentType: "text/html", body: ""});
+		return assertRejects(pagesDataParser.getStudentId(), isLoggedOutError);
+	});
+
+	runner.test("getStudentId fails and logs the error if another page is returned instead of the pdf", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio/generar_pdf", "<div>Error</div>");
+		return assertRejects(pagesDataParser.getStudentId(), e => !isLoggedOutError(e)).then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getStudentId"]);
+		});
+	});
+
+	runner.test("getStartYear returns the year of the oldest row of the academic history", () => {
+		return pagesDataParser.getStartYear().then(startYear => {
+			assertEquals(startYear, 2015);
+		});
+	});
+
+	// ---- Classes
+
+	runner.test("getClassSchedules parses the classes of the comprobante pdf", () => {
+		return pagesDataParser.getClassSchedules().then(classSchedules => {
+			assertEquals(classSchedules, [
+				{
+					year: 2021, quarter: "1C", courseName: "Física I", classCode: "Z1154", courseCode: "950701", branch: "MEDRANO",
+					schedules: [{day: "Lu", shift: "n", firstHour: "1", lastHour: "5"}, {day: "Mi", shift: "n", firstHour: "0", lastHour: "2"}],
+				},
+				{
+					year: 2021, quarter: "2C", courseName: "Seguridad en los Sistemas de Información", classCode: "K4572", courseCode: "950709", branch: "AULA_VIRTUAL",
+					schedules: [{day: "Sa", shift: "m", firstHour: "0", lastHour: "4"}],
+				},
+				{
+					year: 2021, quarter: "A", courseName: "Análisis Matemático II", classCode: "K2053", courseCode: "950702", branch: null,
+					schedules: null,
+				},
+			]);
+		});
+	});
+
+	runner.test("getClassSchedules returns no classes for an empty pdf", () => {
+		stubs.setFixture("/autogestion/grado/calendario/descargar_comprobante", GUARANI_EMPTY_COMPROBANTE);
+		return pagesDataParser.getClassSchedules().then(classSchedules => {
+			assertEquals(classSchedules, []);
+		});
+	});
+
+	runner.test("getClassSchedules fails and logs the error if the pdf has an unexpected structure", () => {
+		stubs.setFixture("/autogestion/grado/calendario/descargar_comprobante", {pdfPages: [["", "CERTIFICADO DE ALUMNO REGULAR", "123.456- PEREZ, JUAN"]]});
+		return assertRejects(pagesDataParser.getClassSchedules(), e => e.startsWith("Invalid pdf contents (1)")).then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getClassSchedules"]);
+		});
+	});
+
+	// ---- Plans
+
+	runner.test("getStudentPlanCode returns the plan of the selected propuesta", () => {
+		return pagesDataParser.getStudentPlanCode().then(planCode => {
+			assertEquals(planCode, "K08");
+		});
+	});
+
+	runner.test("getStudentPlanCode doesn't consider a page that only has a link to the login as logged out", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio", TestStubs.getGuaraniAjaxContents("info_plan", `
+			<div class="encabezado">
+				<table>
+					<tr><td>Propuesta: Ingeniería en Sistemas de Información</td><td>Plan: (K08) Ingeniería en Sistemas de Información 2008</td></tr>
+				</table>
+				<a href="/autogestion/grado/acceso/login?logout=1">Cerrar sesión</a>
+			</div>`));
+		return pagesDataParser.getStudentPlanCode().then(planCode => {
+			assertEquals(planCode, "K08");
+		});
+	});
+
+	runner.test("getStudentPlanCode throws a LoggedOutError without logging it if the ajax contents are the login page", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio", GUARANI_LOGIN_PAGE);
+		return assertRejects(pagesDataParser.getStudentPlanCode(), isLoggedOutError).then(() => {
+			assertEquals(stubs.getLoggedErrors(), []);
+		});
+	});
+
+	runner.test("getStudentPlanCode throws a LoggedOutError if the ajax request is unauthorized", () => {
+		stubs.setFixture("/autogestion/grado/plan_estudio", {status: 401, contentType: "application/json", body: ""});
+		return assertRejects(pagesDataParser.getStudentPlanCode(), isLoggedOutError);
+	});
+
+	runner.test("getStudentPlans returns the current plan first, and then the previous ones in which courses were passed", () => {
+		return pagesDataParser.getStudentPlans().then(plans => {
+			assertEquals(plans, [
+				{planCode: "K08", isCurrent: true},
+				{planCode: "K95", isCurrent: false},
+			]);
+		});
+	});
+
+	runner.test("getStudentPropuestas returns no propuestas if there is no propuestas selector", () => {
+		assertEquals(pagesDataParser.getStudentPropuestas(), []);
+	});
+
+	runner.test("getStudentPropuestas returns the propuestas of the selector, with the link to select them", () => {
+		$("body").append(`<ul id="js-selector-propuestas">
+			<li><a href="/autogestion/grado/propuesta/cambiar/2">Ingeniería Civil</a></li>
+			<li class="active"><a href="/autogestion/grado/propuesta/cambiar/1">Ingeniería en Sistemas de Información</a></li>
+		</ul>`);
+		assertEquals(pagesDataParser.getStudentPropuestas(), [
+			{propuestaName: "Ingeniería Civil", url: "/autogestion/grado/propuesta/cambiar/2", isSelected: false},
+			{propuestaName: "Ingeniería en Sistemas de Información", url: "/autogestion/grado/propuesta/cambiar/1", isSelected: true},
+		]);
+	});
+
+	runner.test("selectPropuesta requests the propuesta link and discards the pages of the previous one", () => {
+		stubs.setFixture("/autogestion/grado/propuesta/cambiar/2", "");
+		return pagesDataParser.getStudentPlanCode().then(() => {
+			return pagesDataParser.selectPropuesta({propuestaName: "Ingeniería Civil", url: "/autogestion/grado/propuesta/cambiar/2", isSelected: false});
+		}).then(() => {
+			return pagesDataParser.getStudentPlanCode();
+		}).then(() => {
+			assertEquals(stubs.getRequestedUrls(), ["/autogestion/grado/plan_estudio", "/autogestion/grado/propuesta/cambiar/2", "/autogestion/grado/plan_estudio"]);
+		});
+	});
+
+	// ---- Academic history
+
+	runner.test("parseAcademicHistory parses every kind of row", () => {
+		return pagesDataParser.parseAcademicHistory().then(history => {
+			assertEquals(history, [
+				{courseCode: "950701", courseName: "Física I", type: "SIGNED", result: "APPROVED", grade: null, weightedGrade: null, date: utils.parseDate("10/07/2016")},
+				{courseCode: "950701", courseName: "Física I", type: "PASSED", result: "APPROVED", grade: 8, weightedGrade: 8.67, date: utils.parseDate("20/12/2016")},
+				{courseCode: "950705", courseName: "Inglés I", type: "PASSED", result: "APPROVED", grade: null, weightedGrade: null, date: utils.parseDate("05/03/2015")},
+				{courseCode: "950702", courseName: "Análisis Matemático II", type: "SIGNED", result: "APPROVED", grade: null, weightedGrade: null, date: utils.parseDate("01/12/2017")},
+				{courseCode: "950702", courseName: "Análisis Matemático II", type: "PASSED", result: "FAILED", grade: 2, weightedGrade: 2, date: utils.parseDate("01/03/2018")},
+				{courseCode: "950702", courseName: "Análisis Matemático II", type: "PASSED", result: "ABSENT", grade: null, weightedGrade: null, date: utils.parseDate("20/07/2018")},
+				{courseCode: "950703", courseName: "Sistemas y Organizaciones", type: "PASSED", result: "APPROVED", grade: 9, weightedGrade: 9, date: utils.parseDate("15/12/2018")},
+				{courseCode: "950704", courseName: "Química General", type: "SIGNED", result: "FAILED", grade: null, weightedGrade: null, date: utils.parseDate("10/07/2019")},
+				{courseCode: "950706", courseName: "Inglés II", type: "SIGNED", result: "IN_PROGRESS", grade: null, weightedGrade: null, date: utils.parseDate("18/03/2024")},
+			]);
+		});
+	});
+
+	runner.test("parseAcademicHistory fails if a row can't be parsed", () => {
+		let historiaAcademica = TestFixtures[GUARANI_HISTORIA_ACADEMICA_URL].replace("Regularidad - Reprobado", "Regularidad - Pendiente");
+		stubs.setFixture(GUARANI_HISTORIA_ACADEMICA_URL, historiaAcademica);
+		return assertRejects(pagesDataParser.parseAcademicHistory(), e => e === "historyRow couldn't be parsed: Regularidad - Pendiente 10/07/2019 - Detalle");
+	});
+
+	runner.test("getPassedCourses includes the passed courses as signed, and ignores the failed and in progress ones", () => {
+		return pagesDataParser.getPassedCourses().then(passedCourses => {
+			assertEquals(passedCourses, {
+				passed: ["950701", "950705", "950703"],
+				signed: ["950701", "950705", "950702", "950703"],
+			});
+		});
+	});
+
+	// ---- Surveys
+
+	runner.test("parseMetadataFromSurveyRows parses every row, with the answers url of the completed ones", () => {
+		return pagesDataParser.parseMetadataFromSurveyRows().then(surveysMetadata => {
+			assertEquals(surveysMetadata, [
+				{
+					answersUrl: "/autogestion/grado/encuestas_kolla/respuestas/1", isCompleted: true,
+					surveyKind: "DOCENTE", year: 2021, quarter: "1C", classCode: "Z1154", courseCode: "950701", professorName: "GARCIA, MARIA", professorRole: "TITULAR",
+				},
+				{
+					answersUrl: null, isCompleted: false,
+					surveyKind: "DOCENTE", year: 2021, quarter: "1C", classCode: "Z1154", courseCode: "950701", professorName: "LOPEZ, CARLOS", professorRole: "ASOCIADO",
+				},
+				{
+					answersUrl: "/autogestion/grado/encuestas_kolla/respuestas/3", isCompleted: true,
+					surveyKind: "AUXILIAR", year: 2021, quarter: "A", classCode: "K2053", courseCode: "950702", professorName: "SANCHEZ, SOFIA", professorRole: "JEFE DE TP",
+				},
+			]);
+		});
+	});
+
+	runner.test("parseMetadataFromSurveyRows only returns the completed surveys if asked to", () => {
+		return pagesDataParser.parseMetadataFromSurveyRows(true).then(surveysMetadata => {
+			assertEquals(surveysMetadata.map(surveyMetadata => surveyMetadata.professorName), ["GARCIA, MARIA", "SANCHEZ, SOFIA"]);
+		});
+	});
+
+	runner.test("parseMetadataFromSurveyRows finds the columns by their header, whatever their order", () => {
+		let fixture = TestFixtures["/autogestion/grado/encuestas_kolla"]
+			.replace("<th>Encuesta</th><th>Actividad</th>", "<th>Actividad</th><th>Encuesta</th>")
+			.replace(/<td>(Docente|Auxiliares)<\/td><td>([^<]+)<\/td>/g, "<td>$2</td><td>$1</td>");
+		stubs.setFixture("/autogestion/grado/encuestas_kolla", fixture);
+		return pagesDataParser.parseMetadataFromSurveyRows().then(surveysMetadata => {
+			assertEquals(surveysMetadata.map(surveyMetadata => [surveyMetadata.surveyKind, surveyMetadata.courseCode]), [
+				["DOCENTE", "950701"],
+				["DOCENTE", "950701"],
+				["AUXILIAR", "950702"],
+			]);
+		});
+	});
+
+	runner.test("parseMetadataFromSurveyRows fails and logs the error if a professor can't be parsed", () => {
+		stubs.setFixture("/autogestion/grado/encuestas_kolla", TestFixtures["/autogestion/grado/encuestas_kolla"].replace("[TITULAR] GARCIA, MARIA", "GARCIA, MARIA"));
+		return assertRejects(pagesDataParser.parseMetadataFromSurveyRows(), e => e === "professorText couldn't be parsed: GARCIA, MARIA").then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["parseMetadataFromSurveyRows"]);
+		});
+	});
+
+	runner.test("getProfessorClassesFromSurveys returns a class for each professor, completed or not", () => {
+		return pagesDataParser.getProfessorClassesFromSurveys().then(classSchedules => {
+			assertEquals(classSchedules, [
+				{year: 2021, quarter: "1C", classCode: "Z1154", courseCode: "950701", professors: [{name: "GARCIA, MARIA", kind: "DOCENTE", role: "TITULAR"}]},
+				{year: 2021, quarter: "1C", classCode: "Z1154", courseCode: "950701", professors: [{name: "LOPEZ, CARLOS", kind: "DOCENTE", role: "ASOCIADO"}]},
+				{year: 2021, quarter: "A", classCode: "K2053", courseCode: "950702", professors: [{name: "SANCHEZ, SOFIA", kind: "AUXILIAR", role: "JEFE DE TP"}]},
+			]);
+		});
+	});
+
+	runner.test("getProfessorClassesFromSurveys fails and logs the error if a column is missing", () => {
+		stubs.setFixture("/autogestion/grado/encuestas_kolla", TestFixtures["/autogestion/grado/encuestas_kolla"].replace("<th>Docente", "<th>Profesor"));
+		return assertRejects(pagesDataParser.getProfessorClassesFromSurveys(), e => e.startsWith("Couldn't find column Docente")).then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["parseMetadataFromSurveyRows", "getProfessorClassesFromSurveys"]);
+		});
+	});
+
+	runner.test("getTakenSurveys fetches the answers of the completed surveys only", () => {
+		return pagesDataParser.getTakenSurveys().then(surveys => {
+			assertEquals(surveys, [
+				{
+					surveyKind: "DOCENTE", year: 2021, quarter: "1C", classCode: "Z1154", courseCode: "950701", professorName: "GARCIA, MARIA", professorRole: "TITULAR",
+					surveyFields: [
+						{question: "Explica con claridad los temas", type: "PERCENTAGE", value: 75},
+						{question: "Cumple con los horarios de clase", type: "PERCENTAGE", value: null},
+						{question: "Mencione las características del docente que ayudaron en su  aprendizaje", type: "TEXT", value: "Explica muy bien, con muchos ejemplos."},
+						{question: "Realice las observaciones que crea conveniente.", type: "TEXT", value: null},
+					],
+				},
+				{
+					surveyKind: "AUXILIAR", year: 2021, quarter: "A", classCode: "K2053", courseCode: "950702", professorName: "SANCHEZ, SOFIA", professorRole: "JEFE DE TP",
+					surveyFields: [
+						{question: "Explica con claridad los temas", type: "PERCENTAGE", value: 50},
+					],
+				},
+			]);
+			assertEquals(stubs.getRequestedUrls().includes("/autogestion/grado/encuestas_kolla/responder/2"), false);
+		});
+	});
+
+	runner.run();
+})();
@@ -0,0 +1,20 @@
+// Text contents of the anonymized comprobante de inscripción pdf, with the current classes.
+// Each class is: course code, course name (that can be split in two items when it is long), period, class code, branch, classroom, schedules.
+// The student id is not properly formatted in the pdf, e.g. "123.456-" instead of "12.345-6".
+TestFixtures["/autogestion/grado/calendario/descargar_comprobante"] = {
+	pdfPages: [
+		[
+			"", "COMPROBANTE DE INSCRIPCIÓN A CURSADA", "123.456- PEREZ, JUAN",
+			"Código", "Actividad", "Período", "Comisión", "Ubicación", "Aula", "Horario",
+			"950701", "Física I", "1er Cuat 2021", "z1154", "Medrano", "301", "Lu(n)1:5 Mi(n)0:2",
+			"950709", "Seguridad en los Sistemas de", "Información", "2do Cuat 2021", "K4572", "Campus Virtual", "Sin definir", "Sá(m)0:4",
+		],
+		[
+			"950702", "Análisis Matemático II", "Anual 2021", "K2053", "Sin designar", "Sin definir", "Sin definir",
+			"Firma y Sello Departamento",
+		],
+	],
+};
+
+// The pdf that is returned when the student is not registered to any class.
+const GUARANI_EMPTY_COMPROBANTE = {pdfPages: [[""]]};
@@ -0,0 +1,55 @@
+// Anonymized ajax contents of the /autogestion/grado/encuestas_kolla page, and the answers of the completed surveys.
+(function () {
+	TestFixtures["/autogestion/grado/encuestas_kolla"] = TestStubs.getGuaraniAjaxContents("lista_encuestas", `<div class="encuestas">
+		<table>
+			<thead>
+				<tr><th>Encuesta</th><th>Actividad</th><th>Comisión</th><th>Período</th><th>Docente</th><th>Estado</th></tr>
+			</thead>
+			<tbody>
+				<tr>
+					<td>Docente</td><td>Física I (950701)</td><td>z1154</td><td>1er Cuat 2021</td><td>[TITULAR] GARCIA, MARIA</td>
+					<td>Respondida <a href="/autogestion/grado/encuestas_kolla/respuestas/1">Ver respuestas</a></td>
+				</tr>
+				<tr>
+					<td>Docente</td><td>Física I (950701)</td><td>Z1154</td><td>1er Cuat 2021</td><td>[ASOCIADO] LOPEZ, CARLOS</td>
+					<td>Pendiente <a href="/autogestion/grado/encuestas_kolla/responder/2">Responder</a></td>
+				</tr>
+				<tr>
+					<td>Auxiliares</td><td>Análisis Matemático II (950702)</td><td>K2053</td><td>Anual 2021</td><td>[JEFE DE TP] SANCHEZ, SOFIA</td>
+					<td>Respondida <a href="/autogestion/grado/encuestas_kolla/respuestas/3">Ver respuestas</a></td>
+				</tr>
+			</tbody>
+		</table>
+	</div>`);
+
+	let percentageQuestion = (id, question, selected) => `
+		<div class="pregunta">
+			<div class="enunciado">${question}</div>
+			${["0%", "25%", "50%", "75%", "100%", "No opina"].map((label, i) => `
+				<input type="radio" name="${id}" id="${id}_${i}" ${label === selected ? "checked" : ""}>
+				<label for="${id}_${i}">${label}</label>`).join("")}
+		</div>`;
+	let textQuestion = (question, text) => `
+		<div class="pregunta">
+			<div class="enunciado">${question}</div>
+			<textarea>${text}</textarea>
+		</div>`;
+	let answersPage = questions => `<!DOCTYPE html>
+<html>
+<head><title>SIU Guaraní - Encuesta</title></head>
+<body>
+<div class="formulario">
+	${questions}
+</div>
+</body>
+</html>`;
+
+	TestFixtures["/autogestion/grado/encuestas_kolla/respuestas/1"] = answersPage(`
+		${percentageQuestion("p1", "Explica con claridad los temas", "75%")}
+		${percentageQuestion("p2", "Responde las consultas", null)}
+		${percentageQuestion("p3", "Cumple con los horarios de clase", "No opina")}
+		${textQuestion("Mencione las características del docente que ayudaron en su  aprendizaje", " Explica muy bien, con muchos ejemplos. ")}
+		${textQuestion("Realice las observaciones que crea conveniente.", "")}`);
+	TestFixtures["/autogestion/grado/encuestas_kolla/respuestas/3"] = answersPage(`
+		${percentageQuestion("p1", "Explica con claridad los temas", "50%")}`);
+})();
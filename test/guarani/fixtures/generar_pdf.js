@@ -0,0 +1,7 @@
+// Text contents of the anonymized plan de estudios pdf, where the student id is taken from.
+TestFixtures["/autogestion/grado/plan_estudio/generar_pdf"] = {
+	pdfPages: [
+		["", "PLAN DE ESTUDIOS", "Alumno:", "PEREZ, JUAN", "Legajo:", "1234567", "Propuesta:", "Ingeniería en Sistemas de Información", "Plan:", "K08"],
+		["Nivel 1", "Análisis Matemático I", "Álgebra y Geometría Analítica"],
+	],
+};
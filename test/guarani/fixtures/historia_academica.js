@@ -0,0 +1,22 @@
+// Anonymized ajax contents of the /autogestion/grado/historia_academica page, with all the kinds of rows that are parsed.
+const GUARANI_HISTORIA_ACADEMICA_URL = "/autogestion/grado/historia_academica/?checks=PromocionA,RegularidadA,RegularidadR,RegularidadU,EnCurso,ExamenA,ExamenR,ExamenU,EquivalenciaA,EquivalenciaR,AprobResA,CreditosA,&modo=anio&param_modo=&e_cu=A&e_ex=A&e_re=A";
+
+(function () {
+	let row = (courseText, historyRow) => `
+		<div class="catedra_nombre">
+			<h4>${courseText}</h4>
+			<span>${historyRow}</span>
+		</div>`;
+
+	TestFixtures[GUARANI_HISTORIA_ACADEMICA_URL] = TestStubs.getGuaraniAjaxContents("info_historia", `<div class="historia">
+		${row("Física I (950701)", "Regularidad - Aprobado 10/07/2016 - Detalle")}
+		${row("Física I (950701)", "Examen - 8 (ocho) Aprobado 20/12/2016 - Libro 1 Folio 2 Detalle")}
+		${row("Inglés I (950705)", "Equivalencia Total - Aprobada (Aprobada) Aprobado 05/03/2015 - Resolución 123 Detalle")}
+		${row("Análisis Matemático II (950702)", "Regularidad - Aprobado 01/12/2017 - Detalle")}
+		${row("Análisis Matemático II (950702)", "Examen - 2 (dos) Reprobado 01/03/2018 - Libro 3 Folio 4 Detalle")}
+		${row("Análisis Matemático II (950702)", "Examen - Ausente 20/07/2018 - Detalle")}
+		${row("Sistemas y Organizaciones (950703)", "Promoción - 9 (nueve) Promocionado 15/12/2018 - Detalle")}
+		${row("Química General (950704)", "Regularidad - Reprobado 10/07/2019 - Detalle")}
+		${row("Inglés II (950706)", "En curso  - Inicio de dictado 18/03/2024 - Detalle")}
+	</div>`);
+})();
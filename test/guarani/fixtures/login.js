@@ -0,0 +1,15 @@
+// The login page that guarani responds with, instead of the requested page or pdf, once the session expired.
+// Not registered for any url, tests set it where needed.
+const GUARANI_LOGIN_PAGE = `<!DOCTYPE html>
+<html>
+<head><title>SIU Guaraní - Acceso</title></head>
+<body>
+<div id="login">
+	<form action="/autogestion/grado/acceso/login" method="post">
+		<input type="text" name="usuario">
+		<input type="password" name="password">
+		<input type="submit" value="Ingresar">
+	</form>
+</div>
+</body>
+</html>`;
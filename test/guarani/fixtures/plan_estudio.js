@@ -0,0 +1,14 @@
+// Anonymized ajax contents of the /autogestion/grado/plan_estudio page.
+(function () {
+	TestFixtures["/autogestion/grado/plan_estudio"] = TestStubs.getGuaraniAjaxContents("info_plan", `
+		<div class="encabezado">
+			<table>
+				<tr><td>Propuesta: Ingeniería en Sistemas de Información</td><td>Plan: (K08) Ingeniería en Sistemas de Información 2008</td></tr>
+			</table>
+		</div>
+		<div class="plan">
+			<table>
+				<tr><td>Nivel 1</td></tr>
+			</table>
+		</div>`);
+})();
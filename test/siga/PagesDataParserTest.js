@@ -0,0 +1,196 @@
+(function () {
+
+	let runner = new TestRunner();
+	let stubs = new TestStubs();
+	let utils = new Utils();
+	let pagesDataParser;
+
+	runner.beforeEach(() => {
+		// A new parser for each test, as it caches the pages contents.
+		pagesDataParser = new PagesDataParser(utils, stubs.apiConnector);
+	});
+	runner.afterEach(() => {
+		stubs.reset();
+		localStorage.removeItem("SigaHelper.ReportedHistoryTypes");
+		localStorage.removeItem("SigaHelper.ReportedSchedules");
+	});
+
+	let isLoggedOutError = e => e instanceof LoggedOutError;
+
+	// ---- Student
+
+	runner.test("getStartYear returns the year of the first exam", () => {
+		return pagesDataParser.getStartYear().then(startYear => {
+			assertEquals(startYear, "2016");
+		});
+	});
+
+	runner.test("getStartYear returns null and logs the error if the page can't be fetched", () => {
+		stubs.setFixture("/alu/libreta.do", {status: 500, contentType: "text/html", body: "Error"});
+		return pagesDataParser.getStartYear().then(startYear => {
+			assertEquals(startYear, null);
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getStartYear"]);
+		});
+	});
+
+	runner.test("getStudentId returns the student id", () => {
+		return pagesDataParser.getStudentId().then(studentId => {
+			assertEquals(studentId, "123.456-7");
+		});
+	});
+
+	runner.test("getStudentId throws a LoggedOutError without logging it if the session expired", () => {
+		stubs.setFixture("/alu/inscurcomp.do", SIGA_SESSION_EXPIRED_PAGE);
+		return assertRejects(pagesDataParser.getStudentId(), isLoggedOutError).then(() => {
+			assertEquals(stubs.getLoggedErrors(), []);
+		});
+	});
+
+	runner.test("getStudentId fails and logs the error if the page has no student id", () => {
+		stubs.setFixture("/alu/inscurcomp.do", `<div><div class="std-canvas"><p>Otra página</p></div></div>`);
+		return assertRejects(pagesDataParser.getStudentId(), e => !isLoggedOutError(e)).then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getStudentId"]);
+		});
+	});
+
+	runner.test("getStudentPlans ignores the empty option", () => {
+		return pagesDataParser.getStudentPlans().then(plans => {
+			assertEquals(plans, [
+				{planId: "123", planCode: "O95A"},
+				{planId: "456", planCode: "K08"},
+			]);
+		});
+	});
+
+	// ---- Academic history
+
+	runner.test("parseAcademicHistory parses every row, including the failed and absent ones", () => {
+		return pagesDataParser.parseAcademicHistory().then(history => {
+			assertEquals(history, [
+				{date: utils.parseDate("10/07/2016"), type: "SIGNED", courseCode: "950701", courseName: "Física I", grade: null, weightedGrade: null, result: "APPROVED"},
+				{date: utils.parseDate("20/12/2016"), type: "PASSED", courseCode: "950701", courseName: "Física I", grade: 8, weightedGrade: 8.67, result: "APPROVED"},
+				{date: utils.parseDate("01/12/2017"), type: "SIGNED", courseCode: "950702", courseName: "Análisis Matemático II", grade: null, weightedGrade: null, result: "APPROVED"},
+				{date: utils.parseDate("01/03/2018"), type: "PASSED", courseCode: "950702", courseName: "Análisis Matemático II", grade: 2, weightedGrade: 2, result: "FAILED"},
+				{date: utils.parseDate("20/07/2018"), type: "PASSED", courseCode: "950702", courseName: "Análisis Matemático II", grade: null, weightedGrade: null, result: "ABSENT"},
+				{date: utils.parseDate("05/08/2018"), type: "PASSED", courseCode: "950702", courseName: "Análisis Matemático II", grade: 7, weightedGrade: 7, result: "APPROVED"},
+				{date: utils.parseDate("15/12/2018"), type: "SIGNED", courseCode: "950703", courseName: "Sistemas y Organizaciones", grade: null, weightedGrade: null, result: "APPROVED"},
+				{date: utils.parseDate("10/07/2019"), type: "SIGNED", courseCode: "950704", courseName: "Química General", grade: null, weightedGrade: null, result: "FAILED"},
+			]);
+		});
+	});
+
+	runner.test("parseAcademicHistory skips the rows with an unknown type, and reports each type only once", () => {
+		stubs.setFixture("/alu/hist.do", TestFixtures["/alu/hist.do"].replace("<td>Cursada</td>", "<td>Equivalencia</td>"));
+		return pagesDataParser.parseAcademicHistory().then(history => {
+			assertEquals(history.length, 7);
+			assertEquals(history.filter(course => course.courseCode === "950701").map(course => course.type), ["PASSED"]);
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["parseAcademicHistory"]);
+			// A new parser, as the page is cached.
+			return new PagesDataParser(utils, stubs.apiConnector).parseAcademicHistory();
+		}).then(history => {
+			assertEquals(history.length, 7);
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["parseAcademicHistory"]);
+		});
+	});
+
+	runner.test("getPassedCourses includes the passed courses as signed, and ignores the failed ones", () => {
+		return pagesDataParser.getPassedCourses().then(passedCourses => {
+			assertEquals(passedCourses, {
+				passed: ["950701", "950702"],
+				signed: ["950701", "950702", "950703"],
+			});
+		});
+	});
+
+	// ---- Classes
+
+	runner.test("getClassSchedules parses the current classes, including free text schedules, and ignores the optional and rejected ones", () => {
+		return pagesDataParser.getClassSchedules().then(classSchedules => {
+			assertEquals(classSchedules, [
+				{
+					year: 2019, quarter: "1C", courseName: "Física I", classCode: "Z1154", courseCode: "950701", branch: "MEDRANO",
+					schedules: [{day: "Lu", shift: "n", firstHour: "1", lastHour: "5"}, {day: "Mi", shift: "n", firstHour: "0", lastHour: "2"}],
+				},
+				{
+					year: 2019, quarter: "A", courseName: "Análisis Matemático II", classCode: "K2053", courseCode: "950702", branch: "CAMPUS",
+					schedules: [{day: "Sa", shift: "m", firstHour: "0", lastHour: "4"}],
+				},
+				{
+					year: 2019, quarter: "A", courseName: "Inglés I", classCode: "Z2001", courseCode: "950705", branch: "AULA_VIRTUAL",
+					schedules: [{day: "Vi", shift: "t", firstHour: "1", lastHour: "3"}],
+				},
+				{
+					year: 2019, quarter: "2C", courseName: "Economía", classCode: "Z3574", courseCode: "950707", branch: "MEDRANO",
+					schedules: [{day: "Ju", shift: "n", firstHour: "0", lastHour: "2"}],
+				},
+				{
+					year: 2019, quarter: "2C", courseName: "Legislación", classCode: "Z3575", courseCode: "950708", branch: "CAMPUS",
+					schedules: null,
+				},
+			]);
+		});
+	});
+
+	runner.test("getClassSchedules reports each schedule that couldn't be parsed only once", () => {
+		return pagesDataParser.getClassSchedules().then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getClassSchedules"]);
+			assertEquals(stubs.getLoggedErrors()[0].message.includes("'A confirmar'"), true);
+			// A new parser, as the page is cached.
+			return new PagesDataParser(utils, stubs.apiConnector).getClassSchedules();
+		}).then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getClassSchedules"]);
+		});
+	});
+
+	runner.test("getClassSchedules fails and logs the error if the period can't be parsed", () => {
+		stubs.setFixture("/alu/inscurcomp.do", TestFixtures["/alu/inscurcomp.do"].replace("(2019 Anual)", "(2019 Bimestral)"));
+		return assertRejects(pagesDataParser.getClassSchedules(), e => e === "Class time couldn't be parsed: 2019 Bimestral").then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["getClassSchedules"]);
+		});
+	});
+
+	// ---- Surveys
+
+	runner.test("getProfessorClassesFromSurveys returns a class for each professor, completed or not", () => {
+		return pagesDataParser.getProfessorClassesFromSurveys().then(classSchedules => {
+			assertEquals(classSchedules, [
+				{year: 2019, quarter: "1C", classCode: "Z1154", courseCode: "950701", professors: [{name: "GARCIA, MARIA", kind: "DOCENTE", role: "TITULAR"}]},
+				{year: 2019, quarter: "1C", classCode: "Z1154", courseCode: "950701", professors: [{name: "LOPEZ, CARLOS", kind: "DOCENTE", role: "ASOCIADO"}]},
+				{year: 2019, quarter: "A", classCode: "K2053", courseCode: "950702", professors: [{name: "SANCHEZ, SOFIA", kind: "AUXILIAR", role: "JEFE DE TP"}]},
+			]);
+		});
+	});
+
+	runner.test("getProfessorClassesFromSurveys fails and logs the error if the survey type can't be parsed", () => {
+		stubs.setFixture("/alu/encdoc.do", TestFixtures["/alu/encdoc.do"].replace("Encuesta Docente 2019 1er C", "Encuesta Alumnos 2019 1er C"));
+		return assertRejects(pagesDataParser.getProfessorClassesFromSurveys(), e => e === "Type couldn't be parsed: alumnos 2019 1er c").then(() => {
+			assertEquals(stubs.getLoggedErrors().map(error => error.method), ["parseMetadataFromSurveyRows"]);
+		});
+	});
+
+	runner.test("getTakenSurveys fetches the answers of the completed surveys only", () => {
+		return pagesDataParser.getTakenSurveys().then(surveys => {
+			assertEquals(surveys, [
+				{
+					surveyKind: "DOCENTE", year: 2019, quarter: "1C", classCode: "Z1154", courseCode: "950701", professorName: "GARCIA, MARIA", professorRole: "TITULAR",
+					surveyFields: [
+						{question: "Explica con claridad los temas", type: "PERCENTAGE", value: 75},
+						{question: "Responde las consultas", type: "PERCENTAGE", value: 100},
+						{question: "Cumple con los horarios de clase", type: "PERCENTAGE", value: null},
+						{question: "Mencione las características del docente que ayudaron en su  aprendizaje", type: "TEXT", value: "Explica muy bien, con muchos ejemplos."},
+					],
+				},
+				{
+					surveyKind: "AUXILIAR", year: 2019, quarter: "A", classCode: "K2053", courseCode: "950702", professorName: "SANCHEZ, SOFIA", professorRole: "JEFE DE TP",
+					surveyFields: [
+						{question: "Explica con claridad los temas", type: "PERCENTAGE", value: 50},
+						{question: "Responde las consultas", type: "PERCENTAGE", value: 25},
+					],
+				},
+			]);
+			assertEquals(stubs.getRequestedUrls().filter(url => url === "/alu/encdocpop.do").length, 2);
+		});
+	});
+
+	runner.run();
+})();
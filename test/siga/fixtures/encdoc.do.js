@@ -0,0 +1,44 @@
+// Anonymized /alu/encdoc.do page. Each .tab is a class, with one row per professor: | name | role | - | link to the survey | image if completed |
+TestFixtures["/alu/encdoc.do"] = `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Encuestas docentes</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas">
+			<p>Encuesta Docente 2019 1er C</p>
+			<div class="tab">
+				<p>Z1154 950701 Física I</p>
+				<table>
+					<tbody>
+						<tr>
+							<td>GARCIA, MARIA</td><td>TITULAR</td><td></td>
+							<td><a href="#" onclick="if(fn_encuesta(51,36218,52143,'Z1154 [950701] Física I','[TITULAR] GARCIA, MARIA')){return jslib_submit(null,'/alu/encdocpop.do','popup',null,false );} else return false;">Encuesta</a></td>
+							<td><img src="/img/ok.gif"></td>
+						</tr>
+						<tr>
+							<td>LOPEZ, CARLOS</td><td>ASOCIADO</td><td></td>
+							<td><a href="#" onclick="if(fn_encuesta(51,36218,52144,'Z1154 [950701] Física I','[ASOCIADO] LOPEZ, CARLOS')){return jslib_submit(null,'/alu/encdocpop.do','popup',null,false );} else return false;">Encuesta</a></td>
+							<td></td>
+						</tr>
+					</tbody>
+				</table>
+			</div>
+			<p>Encuesta_Auxiliares 2019 Anual</p>
+			<div class="tab">
+				<p>K2053 950702 Análisis Matemático II</p>
+				<table>
+					<tbody>
+						<tr>
+							<td>SANCHEZ, SOFIA</td><td>JEFE DE TP</td><td></td>
+							<td><a href="#" onclick="if(fn_encuesta(52,36300,52200,'K2053 [950702] Análisis Matemático II','[JEFE DE TP] SANCHEZ, SOFIA')){return jslib_submit(null,'/alu/encdocpop.do','popup',null,false );} else return false;">Encuesta</a></td>
+							<td><img src="/img/ok.gif"></td>
+						</tr>
+					</tbody>
+				</table>
+			</div>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
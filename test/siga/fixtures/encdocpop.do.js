@@ -0,0 +1,51 @@
+// Anonymized answers of the surveys in the /alu/encdocpop.do popup, by the professor id (form_iddo) that is posted.
+// Percentage questions have options like "0%", "25%", ..., and text questions have "Opina" / "No opina", with the text in the next row.
+(function () {
+	let percentageSelect = selected => `<select>
+		<option value="0"></option>
+		<option value="1" ${selected === "No opina" ? "selected" : ""}>No opina</option>
+		<option value="2">0%</option>
+		<option value="3" ${selected === "25%" ? "selected" : ""}>25%</option>
+		<option value="4" ${selected === "50%" ? "selected" : ""}>50%</option>
+		<option value="5" ${selected === "75%" ? "selected" : ""}>75%</option>
+		<option value="6" ${selected === "100%" ? "selected" : ""}>100%</option>
+	</select>`;
+	let textSelect = selected => `<select>
+		<option value="0"></option>
+		<option value="1" ${selected === "Opina" ? "selected" : ""}>Opina</option>
+		<option value="2">No opina</option>
+	</select>`;
+	let page = rows => `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Encuesta docente</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas">
+			<table>
+				<tbody>
+					${rows}
+				</tbody>
+			</table>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
+
+	const ANSWERS_BY_PROFESSOR_ID = {
+		52143: page(`
+			<tr><td>Explica con claridad los temas</td><td>${percentageSelect("75%")}</td></tr>
+			<tr><td>Responde las consultas</td><td>${percentageSelect("100%")}</td></tr>
+			<tr><td>Cumple con los horarios de clase</td><td>${percentageSelect("No opina")}</td></tr>
+			<tr><td>Mencione las características del docente que ayudaron en su  aprendizaje</td><td>${textSelect("Opina")}</td></tr>
+			<tr><td colspan="2"><textarea>Explica muy bien, con muchos ejemplos.</textarea></td></tr>
+			<tr><td>Realice las observaciones que crea conveniente.</td><td>${textSelect(null)}</td></tr>
+			<tr><td colspan="2"><textarea></textarea></td></tr>`),
+		52200: page(`
+			<tr><td>Explica con claridad los temas</td><td>${percentageSelect("50%")}</td></tr>
+			<tr><td>Responde las consultas</td><td>${percentageSelect("25%")}</td></tr>`),
+	};
+
+	TestFixtures["/alu/encdocpop.do"] = options => ANSWERS_BY_PROFESSOR_ID[options.data.form_iddo];
+})();
@@ -0,0 +1,26 @@
+// Anonymized /alu/hist.do page. Rows are: | type | result | date | course code | course name | grade |
+TestFixtures["/alu/hist.do"] = `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Historia académica</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas">
+			<table>
+				<tbody>
+					<tr><th>Tipo</th><th>Estado</th><th>Fecha</th><th>Código</th><th>Materia</th><th>Nota</th></tr>
+					<tr><td>Cursada</td><td>Aprob</td><td>10/07/2016</td><td>950701</td><td>Física I</td><td></td></tr>
+					<tr><td>Final</td><td>Aprob</td><td>20/12/2016</td><td>950701</td><td>Física I</td><td>8</td></tr>
+					<tr><td>Cursada</td><td>Aprob</td><td>01/12/2017</td><td>950702</td><td>Análisis Matemático II</td><td></td></tr>
+					<tr><td>Final</td><td>Desap</td><td>01/03/2018</td><td>950702</td><td>Análisis Matemático II</td><td>2</td></tr>
+					<tr><td>Final</td><td>Ausen</td><td>20/07/2018</td><td>950702</td><td>Análisis Matemático II</td><td></td></tr>
+					<tr><td>Final</td><td>Aprob</td><td>05/08/2018</td><td>950702</td><td>Análisis Matemático II</td><td>7</td></tr>
+					<tr><td>Cursada</td><td>Aprob</td><td>15/12/2018</td><td>950703</td><td>Sistemas y Organizaciones</td><td></td></tr>
+					<tr><td>Cursada</td><td>Desap</td><td>10/07/2019</td><td>950704</td><td>Química General</td><td></td></tr>
+				</tbody>
+			</table>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
@@ -0,0 +1,32 @@
+// Anonymized /alu/inscurcomp.do page, with the student id and the current classes.
+// Rows of the second table are: | course code | course name (period) | class code | branch | classroom | schedules |
+TestFixtures["/alu/inscurcomp.do"] = `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Comprobante de inscripción</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="center"><p class="mask1">Legajo: <span>123.456-7</span></p></div>
+		<div class="std-canvas">
+			<table>
+				<tbody>
+					<tr><td>Alumno:</td><td>PEREZ, JUAN</td></tr>
+				</tbody>
+			</table>
+			<table>
+				<tbody>
+					<tr><th>Código</th><th>Materia</th><th>Curso</th><th>Anexo</th><th>Aula</th><th>Horario</th></tr>
+					<tr><td>950701</td><td>Física I <span>(2019 Cuat 1/2)</span></td><td>Z1154</td><td>Medrano</td><td>301</td><td>Lu(n)1:5 Mi(n)0:2</td></tr>
+					<tr><td>950702</td><td>Análisis Matemático II <span>(2019 Anual)</span></td><td>K2053</td><td>Campus</td><td></td><td>Sá(m)0:4</td></tr>
+					<tr><td>950705</td><td>Inglés I <span>(2019      1/1)</span></td><td>Z2001</td><td>Aula virtual</td><td></td><td>Vi(t)1:3</td></tr>
+					<tr><td>950707</td><td>Economía <span>(2019 Cuat 2/2)</span></td><td>Z3574</td><td>Medrano</td><td></td><td>Jueves de 18.15 a 20.15 hs.</td></tr>
+					<tr><td>950708</td><td>Legislación <span>(2019 Cuat 2/2)</span></td><td>Z3575</td><td>Campus</td><td></td><td>A confirmar</td></tr>
+					<tr><td>950706</td><td>Inglés II <span>(Opcional)</span></td><td>Z2002</td><td>Medrano</td><td></td><td>Ju(t)0:2</td></tr>
+					<tr><td>950703</td><td>Sistemas y Organizaciones <span>(2019 Cuat 2/2)</span></td><td>RECH</td><td></td><td></td><td>INSCRIPCIÓN RECHAZADA</td></tr>
+				</tbody>
+			</table>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
@@ -0,0 +1,20 @@
+// Anonymized /alu/libreta.do page. Rows are sorted from newest to oldest, so the last one is the first inscription of the student.
+TestFixtures["/alu/libreta.do"] = `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Libreta</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas">
+			<table>
+				<tbody>
+					<tr><th>Fecha</th><th>Carrera</th><th>Plan</th></tr>
+					<tr><td>02/08/2017</td><td>Ingeniería en Sistemas de Información</td><td>K08</td></tr>
+					<tr><td>15/03/2016</td><td>Ingeniería en Sistemas de Información</td><td>O95A</td></tr>
+				</tbody>
+			</table>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
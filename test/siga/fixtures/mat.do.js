@@ -0,0 +1,21 @@
+// Anonymized /alu/mat.do page, that lists the student's plans in a select.
+TestFixtures["/alu/mat.do"] = `<!DOCTYPE html>
+<html>
+<head><title>SIGA - Materias del plan</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas">
+			<div>
+				Plan:
+				<select name="plan">
+					<option value="">-nada-</option>
+					<option value="123">O95A</option>
+					<option value="456">K08</option>
+				</select>
+			</div>
+		</div>
+	</div>
+</div>
+</body>
+</html>`;
@@ -0,0 +1,12 @@
+// Any SIGA page after the session expired. Not registered for any url, tests set it where needed.
+const SIGA_SESSION_EXPIRED_PAGE = `<!DOCTYPE html>
+<html>
+<head><title>SIGA</title></head>
+<body>
+<div class="std-desktop">
+	<div class="std-desktop-desktop">
+		<div class="std-canvas"><div>La sesión ha expirado</div></div>
+	</div>
+</div>
+</body>
+</html>`;